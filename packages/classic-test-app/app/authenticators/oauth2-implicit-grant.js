@@ -1,3 +1,7 @@
 import OAuth2ImplicitGrant from 'ember-simple-auth/authenticators/oauth2-implicit-grant';
+import config from '../config/environment';
 
-export default OAuth2ImplicitGrant.extend();
+export default class OAuth2ImplicitGrantAuthenticator extends OAuth2ImplicitGrant {
+  serverAuthorizationEndpoint = 'https://accounts.google.com/o/oauth2/v2/auth';
+  clientId = config.googleClientID;
+}
@@ -1,7 +1,7 @@
 import { service } from '@ember/service';
 import Component from '@ember/component';
-import config from '../config/environment';
 import { action } from '@ember/object';
+import { getOwner } from '@ember/application';
 
 export default Component.extend({
   session: service('session'),
@@ -28,17 +28,12 @@ export default Component.extend({
 
   authenticateWithGoogleImplicitGrant: action(function (e) {
     e.preventDefault();
-    let clientId = config.googleClientID;
-    let redirectURI = `${window.location.origin}/callback`;
-    let responseType = `token`;
-    let scope = `email`;
-    window.location.replace(
-      `https://accounts.google.com/o/oauth2/v2/auth?` +
-        `client_id=${clientId}` +
-        `&redirect_uri=${redirectURI}` +
-        `&response_type=${responseType}` +
-        `&scope=${scope}`
-    );
+    let authenticator = getOwner(this).lookup('authenticator:oauth2-implicit-grant');
+    let url = authenticator.buildAuthorizationUrl('email', {
+      redirect_uri: `${window.location.origin}/callback`,
+    });
+    this.get('session').persistAttemptedTransition();
+    window.location.replace(url);
   }),
 
   updateIdentification: action(function (e) {
@@ -27,6 +27,7 @@ export default {
       'authenticators/**/*.js',
       'test-support/**/*.js',
       'configuration.js',
+      'errors.js',
       'initializers/**/*.js',
     ]),
 
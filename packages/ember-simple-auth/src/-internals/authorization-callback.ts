@@ -0,0 +1,84 @@
+/**
+ * Helpers for handling the authorization server's response (see
+ * https://tools.ietf.org/html/rfc6749#section-4.1.2 and
+ * https://tools.ietf.org/html/rfc6749#section-4.2.2) when it redirects back to
+ * the application itself.
+ *
+ * The response parameters are either in the query (e.g. for the authorization
+ * code flow) or in the fragment (e.g. for the implicit flow). With hash
+ * routing, the fragment holds the application's route followed by a query,
+ * e.g. `#/callback?code=…`.
+ */
+
+// see https://www.iana.org/assignments/oauth-parameters/oauth-parameters.xhtml#parameters
+const RESPONSE_PARAMS = [
+  'access_token',
+  'token_type',
+  'expires_in',
+  'refresh_token',
+  'scope',
+  'state',
+  'code',
+  'id_token',
+  'session_state',
+  'iss',
+  'error',
+  'error_description',
+  'error_uri',
+];
+
+/**
+ * Returns the parameters of the query and the fragment of the URL. Parameters
+ * in the fragment take precedence.
+ */
+export function parseCallbackParams(url: string): Record<string, string> {
+  const { search, hash } = new URL(url, window.location.href);
+
+  return { ...paramsOf(search.slice(1)), ...paramsOf(fragmentQuery(hash.slice(1))) };
+}
+
+/**
+ * Returns the URL with all authorization response parameters removed from
+ * its query and fragment so that no credentials remain in the address bar or
+ * the browser history.
+ */
+export function scrubCallbackUrl(url: string): string {
+  const callbackUrl = new URL(url, window.location.href);
+  callbackUrl.search = withoutResponseParams(callbackUrl.search.slice(1));
+
+  const fragment = callbackUrl.hash.slice(1);
+  const query = fragmentQuery(fragment);
+  if (query) {
+    const route = fragment.slice(0, fragment.length - query.length).replace(/\?$/, '');
+    const remainingQuery = withoutResponseParams(query);
+    callbackUrl.hash = remainingQuery ? `${route}?${remainingQuery}` : route;
+  }
+
+  return callbackUrl.href;
+}
+
+// the fragment is either a query itself or a route followed by a query
+function fragmentQuery(fragment: string): string {
+  const queryIndex = fragment.indexOf('?');
+  if (queryIndex !== -1) {
+    return fragment.slice(queryIndex + 1);
+  }
+
+  return fragment.indexOf('=') !== -1 ? fragment : '';
+}
+
+function paramsOf(query: string): Record<string, string> {
+  const params: Record<string, string> = {};
+  new URLSearchParams(query).forEach((value, key) => {
+    params[key] = value;
+  });
+
+  return params;
+}
+
+function withoutResponseParams(query: string): string {
+  const params = new URLSearchParams(query);
+  RESPONSE_PARAMS.forEach(param => params.delete(param));
+
+  return params.toString();
+}
@@ -0,0 +1,19 @@
+/**
+ * Helpers for building the authorization request (see
+ * https://tools.ietf.org/html/rfc6749#section-4.1.1 and
+ * https://tools.ietf.org/html/rfc6749#section-4.2.1) that the browser is sent
+ * to the authorization server with.
+ */
+
+/**
+ * Returns the URL of the authorization endpoint with the query parameters
+ * appended to any query it already has.
+ */
+export function toAuthorizationUrl(endpoint: string, query: Record<string, string>): string {
+  const separator = endpoint.indexOf('?') === -1 ? '?' : '&';
+  const queryString = Object.keys(query)
+    .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(query[key] as string)}`)
+    .join('&');
+
+  return `${endpoint}${separator}${queryString}`;
+}
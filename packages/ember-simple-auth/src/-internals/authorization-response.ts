@@ -0,0 +1,142 @@
+/**
+ * Helpers for receiving the authorization server's response (see
+ * https://tools.ietf.org/html/rfc6749#section-4.1.2) in another browsing
+ * context than the application's, i.e. a hidden iframe for silent
+ * authentication or a popup window.
+ *
+ * The page the authorization server redirects to in that context is expected
+ * to post its URL back to the application:
+ *
+ * ```js
+ * (window.opener || window.parent).postMessage(
+ *   { type: 'ember-simple-auth:authorization-response', url: window.location.href },
+ *   window.location.origin
+ * );
+ * ```
+ */
+import { OAuth2Error } from '../errors';
+
+export const AUTHORIZATION_RESPONSE_MESSAGE_TYPE = 'ember-simple-auth:authorization-response';
+
+const POPUP_NAME = 'ember_simple_auth-authorization';
+const POPUP_CLOSED_POLL_INTERVAL = 500;
+
+// see https://openid.net/specs/openid-connect-core-1_0.html#AuthError
+const INTERACTION_REQUIRED_ERRORS = [
+  'login_required',
+  'interaction_required',
+  'consent_required',
+  'account_selection_required',
+];
+
+/**
+ * Loads the authorization URL in a hidden iframe and resolves with the URL of
+ * the page the authorization server redirected to once that posts it back.
+ * Messages from other windows or origins than the redirect URI's are ignored.
+ */
+export function authorizeInHiddenFrame(
+  url: string,
+  redirectUri: string,
+  timeout: number
+): Promise<string> {
+  return new Promise((resolve, reject) => {
+    const origin = new URL(redirectUri, window.location.href).origin;
+    const iframe = document.createElement('iframe');
+    iframe.setAttribute('aria-hidden', 'true');
+    iframe.setAttribute('tabindex', '-1');
+    iframe.style.display = 'none';
+
+    let timer: ReturnType<typeof setTimeout> | undefined;
+    const cleanup = () => {
+      clearTimeout(timer);
+      window.removeEventListener('message', onMessage);
+      iframe.remove();
+    };
+    const onMessage = (event: MessageEvent) => {
+      if (
+        event.source === iframe.contentWindow &&
+        event.origin === origin &&
+        event.data &&
+        event.data.type === AUTHORIZATION_RESPONSE_MESSAGE_TYPE
+      ) {
+        cleanup();
+        resolve(event.data.url);
+      }
+    };
+
+    window.addEventListener('message', onMessage);
+    timer = setTimeout(() => {
+      cleanup();
+      reject(
+        new OAuth2Error('timeout', {
+          error_description: 'The authorization server did not respond in time.',
+        })
+      );
+    }, timeout);
+    iframe.src = url;
+    document.body.appendChild(iframe);
+  });
+}
+
+/**
+ * Opens the authorization URL in a popup window and resolves with the URL of
+ * the page the authorization server redirected to once that posts it back.
+ * This must be called synchronously in response to a user interaction as the
+ * browser blocks the popup otherwise.
+ */
+export function authorizeInPopup(
+  url: string,
+  redirectUri: string,
+  features: string
+): Promise<string> {
+  const popup = window.open(url, POPUP_NAME, features);
+  if (!popup) {
+    return Promise.reject(
+      new OAuth2Error('popup_blocked', {
+        error_description: 'The popup window was blocked by the browser.',
+      })
+    );
+  }
+
+  return new Promise((resolve, reject) => {
+    const origin = new URL(redirectUri, window.location.href).origin;
+
+    const cleanup = () => {
+      clearInterval(interval);
+      window.removeEventListener('message', onMessage);
+    };
+    const onMessage = (event: MessageEvent) => {
+      if (
+        event.source === popup &&
+        event.origin === origin &&
+        event.data &&
+        event.data.type === AUTHORIZATION_RESPONSE_MESSAGE_TYPE
+      ) {
+        cleanup();
+        popup.close();
+        resolve(event.data.url);
+      }
+    };
+    // there is no event for the popup being closed so it needs to be polled
+    const interval = setInterval(() => {
+      if (popup.closed) {
+        cleanup();
+        reject(
+          new OAuth2Error('popup_closed', {
+            error_description: 'The popup window was closed before authorization completed.',
+          })
+        );
+      }
+    }, POPUP_CLOSED_POLL_INTERVAL);
+
+    window.addEventListener('message', onMessage);
+  });
+}
+
+/**
+ * Whether an error returned for an authorization request with `prompt=none`
+ * means that the user needs to authenticate interactively.
+ */
+export function isInteractionRequired(error: unknown): boolean {
+  return error instanceof OAuth2Error && INTERACTION_REQUIRED_ERRORS.indexOf(error.error) !== -1;
+}
@@ -0,0 +1,63 @@
+/**
+ * Helpers around the WebCrypto API that the browser based OAuth 2.0 flows need,
+ * e.g. for generating PKCE code verifiers and challenges (see
+ * https://tools.ietf.org/html/rfc7636) or `state` values.
+ */
+
+const UNRESERVED_CHARACTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._~';
+
+export function base64UrlEncode(input: ArrayBuffer | Uint8Array | string): string {
+  let bytes: Uint8Array;
+  if (typeof input === 'string') {
+    bytes = new TextEncoder().encode(input);
+  } else {
+    bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  }
+
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function base64UrlDecode(input: string): Uint8Array {
+  let base64 = input.replace(/-/g, '+').replace(/_/g, '/');
+  while (base64.length % 4) {
+    base64 += '=';
+  }
+
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+
+  return bytes;
+}
+
+// bytes at or above the largest multiple of the alphabet's length that fits
+// into a byte are discarded as mapping them would favor the first characters
+const MAX_UNBIASED_BYTE = 256 - (256 % UNRESERVED_CHARACTERS.length);
+
+export function generateRandomString(length = 64): string {
+  let result = '';
+  while (result.length < length) {
+    crypto.getRandomValues(new Uint8Array(length)).forEach(value => {
+      if (value < MAX_UNBIASED_BYTE && result.length < length) {
+        result += UNRESERVED_CHARACTERS[value % UNRESERVED_CHARACTERS.length];
+      }
+    });
+  }
+
+  return result;
+}
+
+export function sha256(input: string): Promise<ArrayBuffer> {
+  return crypto.subtle.digest('SHA-256', new TextEncoder().encode(input));
+}
+
+export function generateCodeChallenge(codeVerifier: string): Promise<string> {
+  return sha256(codeVerifier).then(digest => base64UrlEncode(digest));
+}
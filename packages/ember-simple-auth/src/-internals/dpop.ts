@@ -0,0 +1,179 @@
+/**
+ * Helpers for sender-constraining access tokens with DPoP (see
+ * https://tools.ietf.org/html/rfc9449).
+ *
+ * The key pair is generated with a non-extractable private key so it cannot be
+ * exfiltrated by scripts running on the page. It is kept in IndexedDB (which
+ * can store `CryptoKey`s as they are) so that it survives page reloads and is
+ * shared by all tabs, just like the tokens bound to it. If IndexedDB is not
+ * available, the key pair only lives in memory.
+ */
+import { base64UrlEncode, generateRandomString, sha256 } from './crypto';
+import { signJwt } from './jwt';
+
+const DATABASE_NAME = 'ember_simple_auth-dpop';
+const OBJECT_STORE_NAME = 'keys';
+const KEY_PAIR_ID = 'key-pair';
+const ALGORITHM = 'ES256';
+
+export type DPoPKeyPair = Awaited<ReturnType<typeof generateKeyPair>>;
+
+type Database = ReturnType<typeof indexedDB.open>['result'];
+type DatabaseRequest<T> = {
+  result: T;
+  error: unknown;
+  onsuccess: unknown;
+  onerror: unknown;
+};
+
+export type DPoPProofClaims = {
+  htm: string;
+  htu: string;
+  nonce?: string | null;
+  accessToken?: string;
+};
+
+/**
+ * Loads the key pair from IndexedDB, generating and storing it first if there
+ * is none yet.
+ */
+export function loadKeyPair(): Promise<DPoPKeyPair> {
+  return openDatabase().then(
+    database =>
+      closeAfter(
+        database,
+        readKeyPair(database).then(
+          keyPair => keyPair || generateKeyPair().then(keyPair => addKeyPair(database, keyPair))
+        )
+      ),
+    () => generateKeyPair()
+  );
+}
+
+/**
+ * Deletes the key pair from IndexedDB so that a new one is generated for the
+ * next session.
+ */
+export function deleteKeyPair(): Promise<void> {
+  return openDatabase().then(
+    database =>
+      closeAfter(
+        database,
+        request(objectStore(database, 'readwrite').delete(KEY_PAIR_ID)).then(() => undefined)
+      ),
+    () => undefined
+  );
+}
+
+/**
+ * Creates a DPoP proof JWT for a request, see
+ * https://tools.ietf.org/html/rfc9449#section-4.2.
+ */
+export function createProof(keyPair: DPoPKeyPair, claims: DPoPProofClaims): Promise<string> {
+  const accessTokenHash = claims.accessToken
+    ? sha256(claims.accessToken).then(digest => base64UrlEncode(digest))
+    : Promise.resolve(undefined);
+
+  return Promise.all([crypto.subtle.exportKey('jwk', keyPair.publicKey), accessTokenHash]).then(
+    ([jwk, ath]) => {
+      const payload: Record<string, unknown> = {
+        jti: generateRandomString(32),
+        htm: claims.htm.toUpperCase(),
+        htu: targetUri(claims.htu),
+        iat: Math.floor(new Date().getTime() / 1000),
+      };
+      if (claims.nonce) {
+        payload['nonce'] = claims.nonce;
+      }
+      if (ath) {
+        payload['ath'] = ath;
+      }
+
+      return signJwt(
+        {
+          typ: 'dpop+jwt',
+          alg: ALGORITHM,
+          jwk: { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y },
+        },
+        payload,
+        keyPair.privateKey
+      );
+    }
+  );
+}
+
+/**
+ * Returns the origin a nonce the server provides in the `DPoP-Nonce` header is
+ * valid for.
+ */
+export function nonceOrigin(url: string): string {
+  return typeof window !== 'undefined' && window.location
+    ? new URL(url, window.location.href).origin
+    : url;
+}
+
+// the htu claim is the request URL without query and fragment
+function targetUri(url: string): string {
+  const uri =
+    typeof window !== 'undefined' && window.location
+      ? new URL(url, window.location.href)
+      : new URL(url);
+  uri.search = '';
+  uri.hash = '';
+
+  return uri.href;
+}
+
+function generateKeyPair() {
+  return crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, false, [
+    'sign',
+    'verify',
+  ]);
+}
+
+function openDatabase(): Promise<Database> {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available.'));
+  }
+
+  const open = indexedDB.open(DATABASE_NAME, 1);
+  open.onupgradeneeded = () => open.result.createObjectStore(OBJECT_STORE_NAME);
+
+  return request(open);
+}
+
+function objectStore(database: Database, mode: 'readonly' | 'readwrite') {
+  return database.transaction(OBJECT_STORE_NAME, mode).objectStore(OBJECT_STORE_NAME);
+}
+
+function readKeyPair(database: Database): Promise<DPoPKeyPair | undefined> {
+  return request(objectStore(database, 'readonly').get(KEY_PAIR_ID));
+}
+
+function addKeyPair(database: Database, keyPair: DPoPKeyPair): Promise<DPoPKeyPair> {
+  return request(objectStore(database, 'readwrite').add(keyPair, KEY_PAIR_ID)).then(
+    () => keyPair,
+    // another tab stored its key pair first
+    () => readKeyPair(database).then(stored => stored || keyPair)
+  );
+}
+
+function closeAfter<T>(database: Database, promise: Promise<T>): Promise<T> {
+  return promise.then(
+    result => {
+      database.close();
+      return result;
+    },
+    error => {
+      database.close();
+      return Promise.reject(error);
+    }
+  );
+}
+
+function request<T>(databaseRequest: DatabaseRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    databaseRequest.onsuccess = () => resolve(databaseRequest.result);
+    databaseRequest.onerror = () => reject(databaseRequest.error);
+  });
+}
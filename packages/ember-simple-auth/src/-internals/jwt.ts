@@ -0,0 +1,165 @@
+import { base64UrlDecode, base64UrlEncode } from './crypto';
+
+export type JwtHeader = {
+  alg: string;
+  kid?: string;
+  typ?: string;
+  [key: string]: unknown;
+};
+
+export type JwtPayload = {
+  iss?: string;
+  sub?: string;
+  aud?: string | string[];
+  azp?: string;
+  exp?: number;
+  iat?: number;
+  nbf?: number;
+  nonce?: string;
+  [key: string]: unknown;
+};
+
+export type DecodedJwt = {
+  header: JwtHeader;
+  payload: JwtPayload;
+  signingInput: string;
+  signature: Uint8Array;
+};
+
+export type Jwk = {
+  kty: string;
+  kid?: string;
+  use?: string;
+  alg?: string;
+  crv?: string;
+  n?: string;
+  e?: string;
+  x?: string;
+  y?: string;
+};
+
+type ImportAlgorithm = Parameters<SubtleCrypto['importKey']>[2];
+type SignatureAlgorithm = Parameters<SubtleCrypto['verify']>[0];
+export type SigningKey = Parameters<SubtleCrypto['sign']>[1];
+
+const ALGORITHMS: Record<string, { import: ImportAlgorithm; signature: SignatureAlgorithm }> = {
+  RS256: {
+    import: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+    signature: 'RSASSA-PKCS1-v1_5',
+  },
+  RS384: {
+    import: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-384' },
+    signature: 'RSASSA-PKCS1-v1_5',
+  },
+  RS512: {
+    import: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-512' },
+    signature: 'RSASSA-PKCS1-v1_5',
+  },
+  PS256: {
+    import: { name: 'RSA-PSS', hash: 'SHA-256' },
+    signature: { name: 'RSA-PSS', saltLength: 32 },
+  },
+  PS384: {
+    import: { name: 'RSA-PSS', hash: 'SHA-384' },
+    signature: { name: 'RSA-PSS', saltLength: 48 },
+  },
+  PS512: {
+    import: { name: 'RSA-PSS', hash: 'SHA-512' },
+    signature: { name: 'RSA-PSS', saltLength: 64 },
+  },
+  ES256: {
+    import: { name: 'ECDSA', namedCurve: 'P-256' },
+    signature: { name: 'ECDSA', hash: 'SHA-256' },
+  },
+  ES384: {
+    import: { name: 'ECDSA', namedCurve: 'P-384' },
+    signature: { name: 'ECDSA', hash: 'SHA-384' },
+  },
+  ES512: {
+    import: { name: 'ECDSA', namedCurve: 'P-521' },
+    signature: { name: 'ECDSA', hash: 'SHA-512' },
+  },
+};
+
+/**
+ * Decodes a JWS compact serialized JWT (see https://tools.ietf.org/html/rfc7519)
+ * without verifying it. Throws if the token is malformed.
+ */
+export function decodeJwt(token: string): DecodedJwt {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw new Error('Malformed JWT - expected 3 parts.');
+  }
+
+  const [header, payload, signature] = parts as [string, string, string];
+  const decoder = new TextDecoder();
+  try {
+    return {
+      header: JSON.parse(decoder.decode(base64UrlDecode(header))),
+      payload: JSON.parse(decoder.decode(base64UrlDecode(payload))),
+      signingInput: `${header}.${payload}`,
+      signature: base64UrlDecode(signature),
+    };
+  } catch (_error) {
+    throw new Error('Malformed JWT - header or payload cannot be decoded.');
+  }
+}
+
+export function isSupportedAlgorithm(alg: string): boolean {
+  return Object.prototype.hasOwnProperty.call(ALGORITHMS, alg);
+}
+
+/**
+ * Whether the key in JWK format can verify signatures created with the given
+ * JWT algorithm, i.e. its key type (and curve) and its `alg`, if any, match.
+ */
+export function isKeyForAlgorithm(jwk: Jwk, alg: string): boolean {
+  const algorithm = ALGORITHMS[alg];
+  if (!algorithm || (jwk.alg && jwk.alg !== alg)) {
+    return false;
+  }
+
+  const { namedCurve } = algorithm.import as { namedCurve?: string };
+  return namedCurve ? jwk.kty === 'EC' && jwk.crv === namedCurve : jwk.kty === 'RSA';
+}
+
+/**
+ * Verifies the signature of a decoded JWT with the given public key in JWK
+ * format (see https://tools.ietf.org/html/rfc7517) using WebCrypto.
+ */
+export function verifyJwtSignature(jwt: DecodedJwt, jwk: Jwk): Promise<boolean> {
+  const algorithm = ALGORITHMS[jwt.header.alg];
+  if (!algorithm) {
+    return Promise.reject(new Error(`Unsupported JWT algorithm "${jwt.header.alg}".`));
+  }
+
+  return crypto.subtle
+    .importKey('jwk', jwk, algorithm.import, false, ['verify'])
+    .then(key =>
+      crypto.subtle.verify(
+        algorithm.signature,
+        key,
+        jwt.signature,
+        new TextEncoder().encode(jwt.signingInput)
+      )
+    );
+}
+
+/**
+ * Creates a JWS compact serialized JWT that is signed with the given private
+ * key using WebCrypto, e.g. for client assertions (see
+ * https://tools.ietf.org/html/rfc7523).
+ */
+export function signJwt(header: JwtHeader, payload: JwtPayload, key: SigningKey): Promise<string> {
+  const algorithm = ALGORITHMS[header.alg];
+  if (!algorithm) {
+    return Promise.reject(new Error(`Unsupported JWT algorithm "${header.alg}".`));
+  }
+
+  const signingInput = `${base64UrlEncode(JSON.stringify(header))}.${base64UrlEncode(
+    JSON.stringify(payload)
+  )}`;
+  return crypto.subtle
+    .sign(algorithm.signature, key, new TextEncoder().encode(signingInput))
+    .then(signature => `${signingInput}.${base64UrlEncode(signature)}`);
+}
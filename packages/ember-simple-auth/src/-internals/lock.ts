@@ -0,0 +1,111 @@
+/**
+ * A lock that is shared between all tabs and windows of the application so that
+ * only one of them performs a particular task at a time, e.g. refreshing the
+ * access token.
+ *
+ * The lock uses the Web Locks API (see https://w3c.github.io/web-locks/) where
+ * that is available. Otherwise it falls back to a lock that is stored in
+ * `localStorage` with tabs waiting for it being notified via a
+ * `BroadcastChannel` when it is released. If neither is available (e.g. in
+ * FastBoot), the callback is simply invoked.
+ */
+
+const STORAGE_LOCK_TIMEOUT = 10000;
+const STORAGE_LOCK_RETRY_INTERVAL = 50;
+
+type StorageLock = {
+  id: string;
+  expiresAt: number;
+};
+
+export function withLock<T>(name: string, callback: () => Promise<T>): Promise<T> {
+  if (typeof navigator !== 'undefined' && navigator.locks) {
+    return navigator.locks.request(name, () => callback()) as Promise<T>;
+  } else if (isLocalStorageAvailable()) {
+    return withStorageLock(name, callback);
+  } else {
+    return callback();
+  }
+}
+
+function withStorageLock<T>(name: string, callback: () => Promise<T>): Promise<T> {
+  const id = `${new Date().getTime()}-${Math.random()}`;
+  const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(name) : null;
+
+  const acquire = () =>
+    new Promise<void>(resolve => {
+      let retryTimeout: ReturnType<typeof setTimeout> | undefined;
+      const retry = () => {
+        clearTimeout(retryTimeout);
+        retryTimeout = setTimeout(attempt, STORAGE_LOCK_RETRY_INTERVAL);
+      };
+      const attempt = () => {
+        const now = new Date().getTime();
+        const lock = readStorageLock(name);
+        if (lock && lock.id !== id && lock.expiresAt > now) {
+          return retry();
+        }
+
+        localStorage.setItem(name, JSON.stringify({ id, expiresAt: now + STORAGE_LOCK_TIMEOUT }));
+        // another tab might have taken the lock at the same time so make sure
+        // it is still ours after a moment
+        clearTimeout(retryTimeout);
+        retryTimeout = setTimeout(() => {
+          const lock = readStorageLock(name);
+          if (lock && lock.id === id) {
+            if (channel) {
+              channel.onmessage = null;
+            }
+            resolve();
+          } else {
+            retry();
+          }
+        }, STORAGE_LOCK_RETRY_INTERVAL);
+      };
+
+      if (channel) {
+        channel.onmessage = () => attempt();
+      }
+      attempt();
+    });
+
+  const release = () => {
+    const lock = readStorageLock(name);
+    if (lock && lock.id === id) {
+      localStorage.removeItem(name);
+    }
+    if (channel) {
+      channel.postMessage('released');
+      channel.close();
+    }
+  };
+
+  return acquire()
+    .then(callback)
+    .then(
+      result => {
+        release();
+        return result;
+      },
+      error => {
+        release();
+        return Promise.reject(error);
+      }
+    );
+}
+
+function readStorageLock(name: string): StorageLock | null {
+  try {
+    return JSON.parse(localStorage.getItem(name) as string);
+  } catch (_error) {
+    return null;
+  }
+}
+
+function isLocalStorageAvailable(): boolean {
+  try {
+    return typeof localStorage !== 'undefined' && Boolean(localStorage);
+  } catch (_error) {
+    return false;
+  }
+}
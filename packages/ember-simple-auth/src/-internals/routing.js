@@ -20,6 +20,19 @@ export function requireAuthentication(owner, transition) {
   return isAuthenticated;
 }
 
+export function persistAttemptedTransition(owner) {
+  let sessionService = owner.lookup('service:session');
+  let attemptedTransition = sessionService.get('attemptedTransition');
+  if (attemptedTransition) {
+    const cookiesService = owner.lookup('service:cookies');
+    cookiesService.write('ember_simple_auth-redirectTarget', attemptedTransition.intent.url, {
+      path: '/',
+      secure: window.location.protocol === 'https:',
+    });
+    sessionService.set('attemptedTransition', null);
+  }
+}
+
 export function triggerAuthentication(owner, authenticationRoute) {
   let authRouter = owner.lookup('service:router') || owner.lookup('router:main');
   authRouter.transitionTo(authenticationRoute);
@@ -0,0 +1,92 @@
+/**
+ * Helpers for renewing the access token silently, i.e. by loading an
+ * authorization request with `prompt=none` in a hidden iframe, before it
+ * expires. These are shared by all authenticators that support silent
+ * renewal so that they schedule and handle it the same way.
+ */
+import { warn } from '@ember/debug';
+import { getOwner } from '@ember/application';
+import { isTesting } from '@embroider/macros';
+import type { Timer } from '@ember/runloop';
+import { later, cancel } from '@ember/runloop';
+import isFastBoot from '../utils/is-fastboot';
+import { OAuth2Error } from '../errors';
+import type BaseAuthenticator from '../authenticators/base';
+import { authorizeInHiddenFrame, isInteractionRequired } from './authorization-response';
+
+export const SILENT_RENEWAL_OFFSET = 30000;
+export const SILENT_RENEWAL_TIMEOUT = 10000;
+
+export interface SilentRenewalAuthenticator extends BaseAuthenticator {
+  silentRenewalRedirectUri: string | null;
+  silentRenewalOffset: number;
+  silentRenewalTimeout: number;
+  _silentRenewalTimeout: Timer | undefined;
+}
+
+/**
+ * Schedules renewing the access token `silentRenewalOffset` milliseconds
+ * before it expires if the authenticator has a `silentRenewalRedirectUri`.
+ * Any renewals or refreshes that were scheduled before are cancelled first.
+ */
+export function scheduleSilentRenewal(
+  authenticator: SilentRenewalAuthenticator,
+  expiresAt: number | null | undefined,
+  renew: () => Promise<unknown>,
+  cancelScheduled: () => void
+) {
+  if (!authenticator.get('silentRenewalRedirectUri') || isFastBoot(getOwner(authenticator))) {
+    return;
+  }
+
+  const now = new Date().getTime();
+  const offset = authenticator.get('silentRenewalOffset');
+  if (expiresAt && expiresAt > now - offset) {
+    cancelScheduled();
+    if (!isTesting()) {
+      authenticator._silentRenewalTimeout = later(
+        () => renew().catch(() => {}),
+        expiresAt - offset - now
+      );
+    }
+  }
+}
+
+export function cancelSilentRenewal(authenticator: SilentRenewalAuthenticator) {
+  cancel(authenticator._silentRenewalTimeout);
+  delete authenticator._silentRenewalTimeout;
+}
+
+/**
+ * Loads the authorization URL in a hidden iframe, waiting for the response
+ * for at most `silentRenewalTimeout` milliseconds.
+ */
+export function renewInHiddenFrame(
+  authenticator: SilentRenewalAuthenticator,
+  url: string,
+  redirectUri: string
+): Promise<string> {
+  return authorizeInHiddenFrame(url, redirectUri, authenticator.get('silentRenewalTimeout'));
+}
+
+/**
+ * Handles a failed silent renewal of the authenticator's access token. If the
+ * user needs to authenticate interactively, all scheduled renewals are
+ * cancelled and the session is invalidated; otherwise the failure is reported
+ * as a failed token refresh.
+ */
+export function handleSilentRenewalFailure(
+  authenticator: SilentRenewalAuthenticator,
+  error: unknown,
+  cancelScheduled: () => void
+) {
+  if (isInteractionRequired(error)) {
+    cancelScheduled();
+    authenticator.trigger('sessionDataInvalidated', error);
+  } else {
+    warn(`Access token could not be renewed silently - ${(error as OAuth2Error).error}.`, false, {
+      id: 'ember-simple-auth.failedOAuth2SilentRenewal',
+    });
+    authenticator.trigger('tokenRefreshFailed', error);
+  }
+}
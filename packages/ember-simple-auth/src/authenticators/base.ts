@@ -3,7 +3,8 @@ import EsaEventTarget, { type EventListener } from '../-internals/event-target';
 
 export interface AuthenticatorEvents {
   sessionDataUpdated: CustomEvent<any>;
-  sessionDataInvalidated: CustomEvent;
+  sessionDataInvalidated: CustomEvent<any>;
+  tokenRefreshFailed: CustomEvent<any>;
 }
 
 class AuthenticatorEventTarget extends EsaEventTarget<AuthenticatorEvents> {}
@@ -83,10 +84,13 @@ export default class EsaBaseAuthenticator extends EmberObject {
     due to an external or scheduled event__. This might happen, e.g., if a token
     expires or an event is triggered from an external authentication provider
     that the authenticator uses. The session handles the event and will
-    invalidate itself when it is triggered.
+    invalidate itself when it is triggered. The optional `reason` the event is
+    triggered with is passed on to
+    {@linkplain SessionService.handleInvalidation}.
 
     @memberof BaseAuthenticator
     @event sessionDataInvalidated
+    @param {Any} reason The reason why the session data was invalidated
     @public
   */
 
@@ -173,6 +177,25 @@ export default class EsaBaseAuthenticator extends EmberObject {
     return Promise.resolve();
   }
 
+  /**
+    Selects the part of the authenticated session data that is written to the
+    session store. The session itself keeps all of the data in memory so this
+    allows authenticators to keep secrets out of the store that must not
+    survive a page reload or be readable by other tabs. __The data passed to
+    {@linkplain BaseAuthenticator.restore} will only contain what this method
+    returns.__ The `BaseAuthenticator`'s implementation stores all of the data.
+
+    @memberof BaseAuthenticator
+    @method persistedSessionData
+    @param {Object} data The current authenticated session data
+    @return {Object} The data to write to the session store
+    @member
+    @public
+  */
+  persistedSessionData(data: any): any {
+    return data;
+  }
+
   on<Event extends keyof AuthenticatorEvents>(
     event: Event,
     cb: EventListener<AuthenticatorEvents, Event>
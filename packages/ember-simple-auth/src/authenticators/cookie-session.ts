@@ -0,0 +1,192 @@
+import { run } from '@ember/runloop';
+import HttpAuthenticator, { type HttpSessionData } from './http';
+import { HttpError } from '../errors';
+
+/**
+  Authenticator for backends that keep the session in an `httpOnly` cookie
+  that the application cannot read, e.g. the cookie sessions of Rails or
+  Phoenix. All requests are sent with `credentials: 'include'` so the browser
+  sends and stores the session cookie.
+
+  The session is authenticated by posting the credentials to the
+  {@linkplain HttpAuthenticator.serverLoginEndpoint}, restored by loading the
+  current user from the
+  {@linkplain CookieSessionAuthenticator.serverIdentityEndpoint} and
+  invalidated via the {@linkplain HttpAuthenticator.serverLogoutEndpoint}.
+  __As the session cookie is the actual credential, only the non-secret
+  identity attributes listed in
+  {@linkplain CookieSessionAuthenticator.identityAttributes} are stored in the
+  session store.__
+
+  ```js
+  // app/authenticators/cookie.js
+  import CookieSessionAuthenticator from 'ember-simple-auth/authenticators/cookie-session';
+
+  export default class CookieAuthenticator extends CookieSessionAuthenticator {
+    serverLoginEndpoint = '/api/login';
+    serverLogoutEndpoint = '/api/logout';
+    serverIdentityEndpoint = '/api/me';
+  }
+  ```
+
+  @class CookieSessionAuthenticator
+  @extends HttpAuthenticator
+  @public
+*/
+export default class CookieSessionAuthenticator extends HttpAuthenticator {
+  /**
+    The endpoint on the server that a request is sent to when the session is
+    invalidated so the server can end its session and clear the cookie.
+
+    @memberof CookieSessionAuthenticator
+    @property serverLogoutEndpoint
+    @type String
+    @default '/logout'
+    @public
+  */
+  serverLogoutEndpoint: string | null = '/logout';
+
+  /**
+    The endpoint on the server that responds with the current user if the
+    session cookie is valid. It is requested when the session is restored and
+    after authentication if the login response does not include the user.
+
+    @memberof CookieSessionAuthenticator
+    @property serverIdentityEndpoint
+    @type String
+    @default '/me'
+    @public
+  */
+  serverIdentityEndpoint = '/me';
+
+  /**
+    The attributes of the login and identity responses that are stored in the
+    session store. __Do not add anything secret here__ as the session store is
+    readable by any script running on the page.
+
+    @memberof CookieSessionAuthenticator
+    @property identityAttributes
+    @type Array
+    @default ['id', 'email', 'name']
+    @public
+  */
+  identityAttributes: string[] = ['id', 'email', 'name'];
+
+  /**
+    Restores the session by loading the current user from the
+    {@linkplain CookieSessionAuthenticator.serverIdentityEndpoint}. __If the
+    server responds successfully, the returned promise resolves with the
+    current identity attributes__; if the server rejects the session cookie,
+    it rejects. If the server cannot be reached or fails temporarily, the
+    session is restored from the stored data so that users are not logged out
+    while offline.
+
+    @memberof CookieSessionAuthenticator
+    @method restore
+    @param {Object} data The data to restore the session from
+    @return {Promise} A promise that when it resolves results in the session becoming or remaining authenticated
+    @public
+  */
+  restore(data: HttpSessionData) {
+    return new Promise<HttpSessionData>((resolve, reject) => {
+      this._loadIdentity().then(
+        identity => run(null, resolve, identity),
+        error => {
+          if (error instanceof HttpError && error.retryable && this.validateSessionData(data)) {
+            run(null, resolve, data);
+          } else {
+            run(null, reject, error);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+    Authenticates the session by posting the credentials to the
+    {@linkplain HttpAuthenticator.serverLoginEndpoint}. The server is expected
+    to set the session cookie. If its response does not include the user, the
+    user is loaded from the
+    {@linkplain CookieSessionAuthenticator.serverIdentityEndpoint}.
+
+    @memberof CookieSessionAuthenticator
+    @method authenticate
+    @param {Any} [...args] The arguments that are passed on to {@linkplain HttpAuthenticator.buildRequestBody}
+    @return {Promise} A promise that when it resolves results in the session becoming authenticated. If authentication fails, the promise will reject with an `HttpError`
+    @public
+  */
+  authenticate(...args: any[]) {
+    return new Promise((resolve, reject) => {
+      const serverLoginEndpoint = this.get('serverLoginEndpoint');
+      this.makeRequest(serverLoginEndpoint, this.buildRequestBody(...args))
+        .then(response =>
+          this._parseResponse(response).then(json => {
+            const data = json ? this.mapResponseToSessionData(json, response) : null;
+
+            return data && this.validateSessionData(data) ? data : this._loadIdentity();
+          })
+        )
+        .then(
+          data => run(null, resolve, data),
+          error => run(null, reject, error)
+        );
+    });
+  }
+
+  /**
+    Picks the {@linkplain CookieSessionAuthenticator.identityAttributes} from
+    the server's response.
+
+    @memberof CookieSessionAuthenticator
+    @method mapResponseToSessionData
+    @param {Object} json The parsed response body
+    @param {Response} response The server response
+    @return {Object} The session data
+    @public
+  */
+  mapResponseToSessionData(json: any, _response: Response): HttpSessionData {
+    return this.get('identityAttributes').reduce((data: HttpSessionData, attribute) => {
+      if (json && json[attribute] !== undefined) {
+        data[attribute] = json[attribute];
+      }
+      return data;
+    }, {});
+  }
+
+  /**
+    Makes a request to the server with `credentials: 'include'`.
+
+    @memberof CookieSessionAuthenticator
+    @method makeRequest
+    @param {String} url The request URL
+    @param {Object} body The request body that is sent as JSON
+    @param {Object} options request options that are passed to `fetch`
+    @return {Promise} The promise returned by `fetch`
+    @protected
+  */
+  makeRequest(url: string, body: unknown, options: Parameters<typeof fetch>[1] = {}) {
+    return super.makeRequest(url, body, Object.assign({ credentials: 'include' }, options));
+  }
+
+  _loadIdentity(): Promise<HttpSessionData> {
+    const serverIdentityEndpoint = this.get('serverIdentityEndpoint');
+
+    return this.makeRequest(serverIdentityEndpoint, undefined, { method: 'GET' }).then(response =>
+      this._parseResponse(response).then(json => {
+        const data = this.mapResponseToSessionData(json, response);
+        if (!this.validateSessionData(data)) {
+          return Promise.reject(
+            new HttpError('invalid_response', {
+              error_description: 'The identity response does not include any identity attributes.',
+              status: response.status,
+              response,
+              responseJSON: json,
+            })
+          );
+        }
+
+        return data;
+      })
+    );
+  }
+}
@@ -2,6 +2,7 @@ import { isEmpty } from '@ember/utils';
 import { run } from '@ember/runloop';
 import BaseAuthenticator from './base';
 import { waitFor } from '@ember/test-waiters';
+import { DeviseError } from '../errors';
 
 const JSON_CONTENT_TYPE = 'application/json';
 
@@ -95,13 +96,13 @@ export default class DeviseAuthenticator extends BaseAuthenticator {
     [identification]{@linkplain DeviseAuthenticator.identificationAttributeName}.
     __If the credentials are valid and authentication succeeds, a promise that
     resolves with the server's response is returned__, otherwise a promise that
-    rejects with the server error is returned.
+    rejects with a {@linkplain DeviseError} is returned.
 
     @memberof DeviseAuthenticator
     @method authenticate
     @param {String} identification The user's identification
     @param {String} password The user's password
-    @return {Promise} A promise that when it resolves results in the session becoming authenticated. If authentication fails, the promise will reject with the server response; however, the authenticator reads that response already so if you need to read it again you need to clone the response object first
+    @return {Promise} A promise that when it resolves results in the session becoming authenticated. If authentication fails, the promise will reject with a `DeviseError`
     @public
   */
   authenticate(identification: string, password: string) {
@@ -127,15 +128,33 @@ export default class DeviseAuthenticator extends BaseAuthenticator {
                 run(
                   null,
                   reject,
-                  `Check that server response includes ${tokenAttributeName} and ${identificationAttributeName}`
+                  new DeviseError('invalid_response', {
+                    error_description: `Check that server response includes ${tokenAttributeName} and ${identificationAttributeName}`,
+                    status: response.status,
+                    response,
+                  })
                 );
               }
             });
           } else {
-            run(null, reject, response);
+            response.text().then(text => {
+              let json;
+              try {
+                json = JSON.parse(text);
+              } catch (SyntaxError) {
+                return run(null, reject, DeviseError.fromResponse(response, undefined, text));
+              }
+              run(null, reject, DeviseError.fromResponse(response, json));
+            });
           }
         })
-        .catch(error => run(null, reject, error));
+        .catch(error =>
+          run(
+            null,
+            reject,
+            new DeviseError('network_error', { error_description: (error as Error).message })
+          )
+        );
     });
   }
 
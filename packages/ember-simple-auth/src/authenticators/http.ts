@@ -0,0 +1,280 @@
+import { run } from '@ember/runloop';
+import BaseAuthenticator from './base';
+import { waitFor } from '@ember/test-waiters';
+import { HttpError } from '../errors';
+
+const JSON_CONTENT_TYPE = 'application/json';
+
+export type HttpSessionData = Record<string, unknown>;
+
+/**
+  Authenticator for custom JSON login APIs that are neither Devise nor OAuth 2.0
+  servers. Instead of implementing a {@linkplain BaseAuthenticator} subclass
+  from scratch, applications configure the endpoints and override the methods
+  that build the login request and map the server's response to the session
+  data:
+
+  ```js
+  // app/authenticators/custom.js
+  import HttpAuthenticator from 'ember-simple-auth/authenticators/http';
+
+  export default class CustomAuthenticator extends HttpAuthenticator {
+    serverLoginEndpoint = '/api/session';
+    serverLogoutEndpoint = '/api/session/logout';
+
+    buildRequestBody(email, password) {
+      return { session: { email, password } };
+    }
+
+    mapResponseToSessionData(json) {
+      return { token: json.data.token, userId: json.data.user.id };
+    }
+
+    validateSessionData(data) {
+      return Boolean(data.token);
+    }
+  }
+  ```
+
+  The session is then authenticated with the arguments that
+  {@linkplain HttpAuthenticator.buildRequestBody} expects:
+
+  ```js
+  this.session.authenticate('authenticator:custom', email, password);
+  ```
+
+  @class HttpAuthenticator
+  @extends BaseAuthenticator
+  @public
+*/
+export default class HttpAuthenticator extends BaseAuthenticator {
+  /**
+    The endpoint on the server that the authentication request is sent to.
+
+    @memberof HttpAuthenticator
+    @property serverLoginEndpoint
+    @type String
+    @default '/login'
+    @public
+  */
+  serverLoginEndpoint = '/login';
+
+  /**
+    The endpoint on the server that a request is sent to when the session is
+    invalidated. If this is `null`, no request is sent.
+
+    @memberof HttpAuthenticator
+    @property serverLogoutEndpoint
+    @type String
+    @default null
+    @public
+  */
+  serverLogoutEndpoint: string | null = null;
+
+  /**
+    Restores the session from a session data object; __will return a resolving
+    promise when the data is valid__ (see
+    {@linkplain HttpAuthenticator.validateSessionData}) and a rejecting promise
+    otherwise.
+
+    @memberof HttpAuthenticator
+    @method restore
+    @param {Object} data The data to restore the session from
+    @return {Promise} A promise that when it resolves results in the session becoming or remaining authenticated
+    @public
+  */
+  restore(data: HttpSessionData) {
+    return this.validateSessionData(data) ? Promise.resolve(data) : Promise.reject();
+  }
+
+  /**
+    Authenticates the session by sending the body built by
+    {@linkplain HttpAuthenticator.buildRequestBody} from the passed arguments
+    to the {@linkplain HttpAuthenticator.serverLoginEndpoint}. __If the server
+    responds successfully and the session data mapped from its response (see
+    {@linkplain HttpAuthenticator.mapResponseToSessionData}) is valid, a
+    promise that resolves with that data is returned__, otherwise a promise
+    that rejects with an {@linkplain HttpError} is returned.
+
+    @memberof HttpAuthenticator
+    @method authenticate
+    @param {Any} [...args] The arguments that are passed on to {@linkplain HttpAuthenticator.buildRequestBody}
+    @return {Promise} A promise that when it resolves results in the session becoming authenticated. If authentication fails, the promise will reject with an `HttpError`
+    @public
+  */
+  authenticate(...args: any[]) {
+    return new Promise((resolve, reject) => {
+      const serverLoginEndpoint = this.get('serverLoginEndpoint');
+      this.makeRequest(serverLoginEndpoint, this.buildRequestBody(...args))
+        .then(response =>
+          this._parseResponse(response).then(json => {
+            const data = this.mapResponseToSessionData(json, response);
+            if (this.validateSessionData(data)) {
+              run(null, resolve, data);
+            } else {
+              run(
+                null,
+                reject,
+                new HttpError('invalid_response', {
+                  error_description: 'The server response does not constitute a valid session.',
+                  status: response.status,
+                  response,
+                  responseJSON: json,
+                })
+              );
+            }
+          })
+        )
+        .catch(error => run(null, reject, error));
+    });
+  }
+
+  /**
+    Sends a request to the {@linkplain HttpAuthenticator.serverLogoutEndpoint}
+    if one is configured. __If that request fails, the returned promise
+    rejects__ with an {@linkplain HttpError} so that session invalidation is
+    intercepted.
+
+    @memberof HttpAuthenticator
+    @method invalidate
+    @param {Object} data The current authenticated session data
+    @return {Promise} A promise that when it resolves results in the session being invalidated. If invalidation fails, the promise will reject with an `HttpError`
+    @public
+  */
+  invalidate(data: HttpSessionData) {
+    const serverLogoutEndpoint = this.get('serverLogoutEndpoint');
+    if (!serverLogoutEndpoint) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      this.makeRequest(serverLogoutEndpoint, this.buildLogoutRequestBody(data))
+        .then(response => (response.ok ? undefined : this._parseResponse(response)))
+        .then(
+          () => run(null, resolve, undefined),
+          error => run(null, reject, error)
+        );
+    });
+  }
+
+  /**
+    Builds the body of the authentication request from the arguments passed to
+    {@linkplain HttpAuthenticator.authenticate}. The default implementation
+    expects an identification and a password.
+
+    @memberof HttpAuthenticator
+    @method buildRequestBody
+    @param {Any} [...args] The arguments passed to {@linkplain HttpAuthenticator.authenticate}
+    @return {Object} The request body
+    @public
+  */
+  buildRequestBody(...args: any[]): unknown {
+    const [identification, password] = args;
+
+    return { identification, password };
+  }
+
+  /**
+    Builds the body of the request that is sent to the
+    {@linkplain HttpAuthenticator.serverLogoutEndpoint}. The default
+    implementation sends an empty object.
+
+    @memberof HttpAuthenticator
+    @method buildLogoutRequestBody
+    @param {Object} data The current authenticated session data
+    @return {Object} The request body
+    @public
+  */
+  buildLogoutRequestBody(_data: HttpSessionData): unknown {
+    return {};
+  }
+
+  /**
+    Maps the server's response to the authentication request to the session
+    data that is stored in the session service's `data.authenticated` property.
+    The default implementation uses the response body as it is.
+
+    @memberof HttpAuthenticator
+    @method mapResponseToSessionData
+    @param {Object} json The parsed response body
+    @param {Response} response The server response
+    @return {Object} The session data
+    @public
+  */
+  mapResponseToSessionData(json: any, _response: Response): HttpSessionData {
+    return json;
+  }
+
+  /**
+    Checks whether session data constitutes a valid session, both when
+    authenticating and when restoring the session. The default implementation
+    accepts any non-empty object.
+
+    @memberof HttpAuthenticator
+    @method validateSessionData
+    @param {Object} data The session data
+    @return {Boolean} Whether the data is valid
+    @public
+  */
+  validateSessionData(data: HttpSessionData): boolean {
+    return Boolean(data) && typeof data === 'object' && Object.keys(data).length > 0;
+  }
+
+  /**
+    Makes a request to the server.
+
+    @memberof HttpAuthenticator
+    @method makeRequest
+    @param {String} url The request URL
+    @param {Object} body The request body that is sent as JSON
+    @param {Object} options request options that are passed to `fetch`
+    @return {Promise} The promise returned by `fetch`
+    @protected
+  */
+  @waitFor
+  makeRequest(
+    url: string,
+    body: unknown,
+    options: Parameters<typeof fetch>[1] = {}
+  ): Promise<Response> {
+    const requestOptions = Object.assign(
+      {
+        body: JSON.stringify(body),
+        method: 'POST',
+        headers: {
+          accept: JSON_CONTENT_TYPE,
+          'content-type': JSON_CONTENT_TYPE,
+        },
+      },
+      options
+    );
+
+    return fetch(url, requestOptions).catch(error =>
+      Promise.reject(
+        new HttpError('network_error', { error_description: (error as Error).message })
+      )
+    );
+  }
+
+  _parseResponse(response: Response): Promise<any> {
+    return response.text().then(text => {
+      let json;
+      try {
+        json = text ? JSON.parse(text) : null;
+      } catch (SyntaxError) {
+        return Promise.reject(
+          response.ok
+            ? new HttpError('invalid_response', {
+                error_description: 'The server response is not valid JSON.',
+                status: response.status,
+                response,
+                responseText: text,
+              })
+            : HttpError.fromResponse(response, undefined, text)
+        );
+      }
+
+      return response.ok ? json : Promise.reject(HttpError.fromResponse(response, json));
+    });
+  }
+}
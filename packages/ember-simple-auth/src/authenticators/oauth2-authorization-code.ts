@@ -0,0 +1,411 @@
+import { makeArray } from '@ember/array';
+import { assert } from '@ember/debug';
+import type { Timer } from '@ember/runloop';
+import { run } from '@ember/runloop';
+import {
+  OAuth2Authenticator,
+  type OAuthAuthorizationCodeRequestData,
+  type OAuthResponseSuccess,
+} from './oauth2-password-grant';
+import { parseResponse } from './oauth2-implicit-grant';
+import { generateCodeChallenge, generateRandomString } from '../-internals/crypto';
+import { toAuthorizationUrl } from '../-internals/authorization-request';
+import {
+  SILENT_RENEWAL_OFFSET,
+  SILENT_RENEWAL_TIMEOUT,
+  cancelSilentRenewal,
+  handleSilentRenewalFailure,
+  renewInHiddenFrame,
+  scheduleSilentRenewal,
+} from '../-internals/silent-renewal';
+import { OAuth2Error } from '../errors';
+
+export type AuthorizationCodeCallbackData = {
+  code?: string;
+  state?: string;
+  error?: string;
+  error_description?: string;
+  error_uri?: string;
+};
+
+export type AuthorizationRequest = {
+  state: string;
+  code_verifier: string;
+  redirect_uri: string | null;
+  nonce?: string;
+};
+
+/**
+  Authenticator that conforms to OAuth 2
+  ([RFC 6749](http://tools.ietf.org/html/rfc6749)), specifically the
+  _"Authorization Code Grant Type"_, using _"Proof Key for Code Exchange"_
+  ([RFC 7636](https://tools.ietf.org/html/rfc7636)).
+
+  The flow consists of two steps. First, the application redirects the browser
+  to the URL built by
+  {@linkplain OAuth2AuthorizationCodeAuthenticator.buildAuthorizationUrl}:
+
+  ```js
+  // app/components/login-button.js
+  import Component from '@glimmer/component';
+  import { action } from '@ember/object';
+  import { service } from '@ember/service';
+  import { getOwner } from '@ember/application';
+
+  export default class LoginButtonComponent extends Component {
+    &#64;service session;
+
+    &#64;action
+    async login() {
+      let authenticator = getOwner(this).lookup('authenticator:oauth2-authorization-code');
+      let url = await authenticator.buildAuthorizationUrl(['profile']);
+      this.session.persistAttemptedTransition();
+      window.location.assign(url);
+    }
+  }
+  ```
+
+  When the authorization server redirects back to the application's
+  {@linkplain OAuth2AuthorizationCodeAuthenticator.redirectUri}, the callback
+  route authenticates the session with the parameters from the URL (see
+  {@linkplain SessionService.handleCallback}):
+
+  ```js
+  // app/routes/callback.js
+  import Route from '@ember/routing/route';
+  import { service } from '@ember/service';
+
+  export default class CallbackRoute extends Route {
+    &#64;service session;
+
+    beforeModel() {
+      return this.session.handleCallback('authenticator:oauth2-authorization-code');
+    }
+  }
+  ```
+
+  Once authenticated, access tokens are refreshed and revoked just like with the
+  {@linkplain OAuth2PasswordGrantAuthenticator}. If the server does not issue
+  refresh tokens, they can be renewed silently instead (see
+  {@linkplain OAuth2AuthorizationCodeAuthenticator.silentRenewalRedirectUri}).
+
+  @class OAuth2AuthorizationCodeAuthenticator
+  @extends OAuth2Authenticator
+  @public
+*/
+export default class OAuth2AuthorizationCodeAuthenticator extends OAuth2Authenticator {
+  /**
+    The authorization server's endpoint that the browser is redirected to in
+    order to obtain an authorization code (see
+    [RFC 6749, section 3.1](https://tools.ietf.org/html/rfc6749#section-3.1)).
+
+    @memberof OAuth2AuthorizationCodeAuthenticator
+    @property serverAuthorizationEndpoint
+    @type String
+    @default '/authorize'
+    @public
+  */
+  serverAuthorizationEndpoint: string = '/authorize';
+
+  /**
+    The URI the authorization server redirects the browser back to after the
+    resource owner granted or denied access (see
+    [RFC 6749, section 3.1.2](https://tools.ietf.org/html/rfc6749#section-3.1.2)).
+    If this is `null`, no `redirect_uri` is sent and the server will use the
+    one that is registered for the client.
+
+    @memberof OAuth2AuthorizationCodeAuthenticator
+    @property redirectUri
+    @type String
+    @default null
+    @public
+  */
+  redirectUri: string | null = null;
+
+  /**
+    The `sessionStorage` key that the `state` and PKCE `code_verifier` of a
+    pending authorization request are kept in while the browser is redirected
+    to the authorization server.
+
+    @memberof OAuth2AuthorizationCodeAuthenticator
+    @property authorizationRequestStorageKey
+    @type String
+    @default 'ember_simple_auth-authorization-request'
+    @public
+  */
+  authorizationRequestStorageKey: string = 'ember_simple_auth-authorization-request';
+
+  /**
+    The URI the authorization server redirects to when renewing the access
+    token silently. If this is set and the server does not issue refresh
+    tokens, the authenticator renews the access token before it expires by
+    loading the authorization request with `prompt=none` in a hidden iframe
+    (see {@linkplain OAuth2AuthorizationCodeAuthenticator.renewSilently}).
+
+    The page at this URI needs to post its URL back to the application, e.g.:
+
+    ```html
+    <!-- public/silent-callback.html -->
+    <script>
+      window.parent.postMessage(
+        { type: 'ember-simple-auth:authorization-response', url: window.location.href },
+        window.location.origin
+      );
+    </script>
+    ```
+
+    @memberof OAuth2AuthorizationCodeAuthenticator
+    @property silentRenewalRedirectUri
+    @type String
+    @default null
+    @public
+  */
+  silentRenewalRedirectUri: string | null = null;
+
+  /**
+    The time in milliseconds before the access token expires at which it is
+    renewed silently. This needs to leave enough time for the
+    {@linkplain OAuth2AuthorizationCodeAuthenticator.silentRenewalTimeout}.
+
+    @memberof OAuth2AuthorizationCodeAuthenticator
+    @property silentRenewalOffset
+    @type Number
+    @default 30000
+    @public
+  */
+  silentRenewalOffset = SILENT_RENEWAL_OFFSET;
+
+  /**
+    The time in milliseconds to wait for the authorization server's response
+    when renewing the access token silently.
+
+    @memberof OAuth2AuthorizationCodeAuthenticator
+    @property silentRenewalTimeout
+    @type Number
+    @default 10000
+    @public
+  */
+  silentRenewalTimeout = SILENT_RENEWAL_TIMEOUT;
+
+  _silentRenewalTimeout: Timer | undefined = undefined;
+
+  /**
+    Builds the URL of the authorization request that the browser needs to be
+    redirected to (see
+    [RFC 6749, section 4.1.1](https://tools.ietf.org/html/rfc6749#section-4.1.1)).
+
+    This generates a fresh `state` as well as a PKCE `code_verifier` and the
+    `S256` `code_challenge` derived from it and keeps `state` and
+    `code_verifier` in the `sessionStorage` so that
+    {@linkplain OAuth2AuthorizationCodeAuthenticator.authenticate} can verify
+    the callback and exchange the authorization code.
+
+    @memberof OAuth2AuthorizationCodeAuthenticator
+    @method buildAuthorizationUrl
+    @param {String|Array} scope The scope of the access request (see [RFC 6749, section 3.3](http://tools.ietf.org/html/rfc6749#section-3.3))
+    @param {Object} params Additional query parameters to send to the authorization server (e.g. `prompt` or `login_hint`); these cannot override `response_type`, `state` or the PKCE parameters
+    @return {Promise} A promise that resolves with the authorization URL
+    @public
+  */
+  buildAuthorizationUrl(
+    scope: string | string[] = [],
+    params: Record<string, string> = {}
+  ): Promise<string> {
+    const request: AuthorizationRequest = {
+      state: generateRandomString(32),
+      code_verifier: generateRandomString(64),
+      redirect_uri: params['redirect_uri'] || this.get('redirectUri'),
+    };
+    if (params['nonce']) {
+      request.nonce = params['nonce'];
+    }
+
+    return generateCodeChallenge(request.code_verifier).then(codeChallenge => {
+      const query: Record<string, string> = {};
+      const clientId = this.get('clientId');
+      if (clientId) {
+        query['client_id'] = clientId;
+      }
+      const scopesString = makeArray(scope).join(' ');
+      if (scopesString.trim().length > 0) {
+        query['scope'] = scopesString;
+      }
+      Object.assign(query, params, {
+        // the parameters the callback is validated with cannot be overridden
+        response_type: 'code',
+        state: request.state,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256',
+      });
+      if (request.redirect_uri) {
+        query['redirect_uri'] = request.redirect_uri;
+      }
+
+      this._storeAuthorizationRequest(request);
+
+      return toAuthorizationUrl(this.get('serverAuthorizationEndpoint'), query);
+    });
+  }
+
+  /**
+    Authenticates the session with the parameters the authorization server
+    redirected the browser back with (see
+    [RFC 6749, section 4.1.2](https://tools.ietf.org/html/rfc6749#section-4.1.2)),
+    e.g. as parsed from the callback URL with
+    {@linkplain module:ember-simple-auth/authenticators/oauth2-implicit-grant.parseResponse}.
+
+    The `state` parameter is checked against the one generated by
+    {@linkplain OAuth2AuthorizationCodeAuthenticator.buildAuthorizationUrl};
+    if it matches, the authorization code is exchanged for an access token at
+    the {@linkplain OAuth2PasswordGrantAuthenticator.serverTokenEndpoint}
+    along with the PKCE `code_verifier` (see
+    [RFC 6749, section 4.1.3](https://tools.ietf.org/html/rfc6749#section-4.1.3)).
+
+    If the callback parameters contain an error, the state does not match or
+    the token request fails, the returned promise rejects.
+
+    @memberof OAuth2AuthorizationCodeAuthenticator
+    @method authenticate
+    @param {Object} params The parameters of the callback URL
+    @param {Object} headers Optional headers to send with the token request
+    @return {Promise} A promise that when it resolves results in the session becoming authenticated. If authentication fails, the promise will reject with an `OAuth2Error` carrying the error parameters of the callback or the error returned by the server
+    @public
+  */
+  authenticate(params: AuthorizationCodeCallbackData, headers: Record<string, string> = {}) {
+    return this._authenticateWithCallback(params, this._consumeAuthorizationRequest(), headers);
+  }
+
+  /**
+    Renews the access token without user interaction by loading the
+    authorization request with `prompt=none` in a hidden iframe that is
+    redirected to the
+    {@linkplain OAuth2AuthorizationCodeAuthenticator.silentRenewalRedirectUri}
+    and exchanging the authorization code it receives. This works as long as
+    the user's session with the authorization server is still active.
+
+    __On success, the authenticator triggers the `sessionDataUpdated` event__
+    with the new session data. If the authorization server responds that the
+    user needs to log in again (e.g. with `login_required`), it triggers the
+    `sessionDataInvalidated` event with the `OAuth2Error`; on other failures
+    it triggers the `tokenRefreshFailed` event.
+
+    @memberof OAuth2AuthorizationCodeAuthenticator
+    @method renewSilently
+    @param {String|Array} scope The scope of the access request
+    @return {Promise} A promise that resolves with the new session data or rejects with an `OAuth2Error`
+    @public
+  */
+  renewSilently(scope: string | string[] = []): Promise<OAuthResponseSuccess> {
+    const redirectUri = this.get('silentRenewalRedirectUri');
+    assert('renewSilently requires the silentRenewalRedirectUri to be set!', Boolean(redirectUri));
+
+    const scopes = typeof scope === 'string' ? scope.split(' ') : scope;
+    return this.buildAuthorizationUrl(scopes, {
+      prompt: 'none',
+      redirect_uri: redirectUri as string,
+    })
+      .then(url => {
+        // the request is only needed by this renewal so it does not need to be
+        // kept in the sessionStorage
+        const request = this._consumeAuthorizationRequest();
+
+        return this._authorizeInHiddenFrame(url, redirectUri as string).then(responseUrl =>
+          this._authenticateWithCallback(parseResponse(responseUrl), request, {})
+        );
+      })
+      .then(
+        data => {
+          run(() => this.trigger('sessionDataUpdated', data));
+          return data;
+        },
+        error => {
+          run(() =>
+            handleSilentRenewalFailure(this, error, () => this._cancelAccessTokenRefresh())
+          );
+          return Promise.reject(error);
+        }
+      );
+  }
+
+  _authenticateWithCallback(
+    params: AuthorizationCodeCallbackData,
+    request: AuthorizationRequest | null,
+    headers: Record<string, string>
+  ): Promise<OAuthResponseSuccess> {
+    if (params.error) {
+      return Promise.reject(OAuth2Error.fromParams(params));
+    } else if (!params.code) {
+      return Promise.reject(
+        new OAuth2Error('invalid_request', {
+          error_description: 'Invalid auth params - "code" missing.',
+        })
+      );
+    } else if (!request || !params.state || params.state !== request.state) {
+      return Promise.reject(
+        new OAuth2Error('invalid_state', {
+          error_description: 'Invalid auth params - "state" does not match.',
+        })
+      );
+    }
+
+    return this._exchangeAuthorizationCode(params.code, request, headers);
+  }
+
+  _scheduleAccessTokenRefresh(
+    expiresIn: number | undefined,
+    expiresAt: number | null | undefined,
+    refreshToken: string | undefined
+  ) {
+    if (refreshToken || !this.get('silentRenewalRedirectUri')) {
+      return super._scheduleAccessTokenRefresh(expiresIn, expiresAt, refreshToken);
+    }
+
+    if (!expiresAt && expiresIn) {
+      expiresAt = new Date().getTime() + expiresIn * 1000;
+    }
+    scheduleSilentRenewal(
+      this,
+      expiresAt,
+      () => this.renewSilently(this._currentSessionData().scope),
+      () => this._cancelAccessTokenRefresh()
+    );
+  }
+
+  _cancelAccessTokenRefresh() {
+    super._cancelAccessTokenRefresh();
+    cancelSilentRenewal(this);
+  }
+
+  _authorizeInHiddenFrame(url: string, redirectUri: string): Promise<string> {
+    return renewInHiddenFrame(this, url, redirectUri);
+  }
+
+  _exchangeAuthorizationCode(
+    code: string,
+    request: AuthorizationRequest,
+    headers: Record<string, string>
+  ): Promise<OAuthResponseSuccess> {
+    const data: OAuthAuthorizationCodeRequestData = {
+      grant_type: 'authorization_code',
+      code,
+      code_verifier: request.code_verifier,
+    };
+    if (request.redirect_uri) {
+      data.redirect_uri = request.redirect_uri;
+    }
+
+    return this._requestAccessToken(data, headers);
+  }
+
+  _storeAuthorizationRequest(request: AuthorizationRequest) {
+    sessionStorage.setItem(this.get('authorizationRequestStorageKey'), JSON.stringify(request));
+  }
+
+  _consumeAuthorizationRequest(): AuthorizationRequest | null {
+    const key = this.get('authorizationRequestStorageKey');
+    const request = sessionStorage.getItem(key);
+    sessionStorage.removeItem(key);
+
+    return request ? JSON.parse(request) : null;
+  }
+}
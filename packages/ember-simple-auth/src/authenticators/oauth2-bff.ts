@@ -0,0 +1,146 @@
+import { run } from '@ember/runloop';
+import OAuth2PasswordGrantAuthenticator, {
+  type MakeRequestData,
+  type OAuthResponseSuccess,
+} from './oauth2-password-grant';
+import { OAuth2Error } from '../errors';
+
+// the refresh token is kept in an httpOnly cookie by the proxy; this only
+// identifies the proxy's session in the refresh scheduling and deduplication
+const PROXY_REFRESH_TOKEN = 'bff-session';
+
+/**
+  Authenticator for the _"Backend for Frontend"_ pattern where all OAuth 2.0
+  requests go through a same-origin proxy that keeps the access and refresh
+  tokens in `httpOnly` cookies so they are never accessible to JavaScript.
+
+  The proxy is expected to forward token requests sent to the
+  {@linkplain OAuth2PasswordGrantAuthenticator.serverTokenEndpoint} to the
+  authorization server, store the tokens from the response in cookies and
+  respond with the token's `expires_in` only. For refresh requests
+  (`grant_type=refresh_token`), it reads the refresh token from its cookie.
+  __The session only stores `expires_in` and `expires_at`__, which the
+  authenticator uses to refresh the tokens through the proxy before they
+  expire, just like the {@linkplain OAuth2PasswordGrantAuthenticator} does.
+
+  ```js
+  // app/authenticators/bff.js
+  import OAuth2BffAuthenticator from 'ember-simple-auth/authenticators/oauth2-bff';
+
+  export default class BffAuthenticator extends OAuth2BffAuthenticator {
+    serverTokenEndpoint = '/bff/token';
+    serverLogoutEndpoint = '/bff/logout';
+  }
+  ```
+
+  As the application cannot read the access token, API requests need to go
+  through the proxy as well which adds the token from the cookie.
+
+  @class OAuth2BffAuthenticator
+  @extends OAuth2PasswordGrantAuthenticator
+  @public
+*/
+export default class OAuth2BffAuthenticator extends OAuth2PasswordGrantAuthenticator {
+  /**
+    The endpoint of the proxy that token requests are sent to.
+
+    @memberof OAuth2BffAuthenticator
+    @property serverTokenEndpoint
+    @type String
+    @default '/bff/token'
+    @public
+  */
+  serverTokenEndpoint = '/bff/token';
+
+  /**
+    The endpoint of the proxy that a request is sent to when the session is
+    invalidated so it can revoke the tokens and clear its cookies. If this is
+    `null`, no request is sent. __If the request fails, session invalidation
+    is intercepted__ as the tokens would otherwise remain valid.
+
+    @memberof OAuth2BffAuthenticator
+    @property serverLogoutEndpoint
+    @type String
+    @default '/bff/logout'
+    @public
+  */
+  serverLogoutEndpoint: string | null = '/bff/logout';
+
+  /**
+    Sends a request to the
+    {@linkplain OAuth2BffAuthenticator.serverLogoutEndpoint} and stops
+    refreshing the tokens.
+
+    @memberof OAuth2BffAuthenticator
+    @method invalidate
+    @param {Object} data The current authenticated session data
+    @return {Promise} A promise that when it resolves results in the session being invalidated. If invalidation fails, the promise will reject with an `OAuth2Error`
+    @public
+  */
+  invalidate(data: OAuthResponseSuccess) {
+    const serverLogoutEndpoint = this.get('serverLogoutEndpoint');
+    const logout = serverLogoutEndpoint
+      ? this.makeRequest(serverLogoutEndpoint, {}).catch(error =>
+          // the proxy might respond without a (JSON) body
+          error instanceof OAuth2Error && error.response && error.response.ok
+            ? undefined
+            : Promise.reject(error)
+        )
+      : Promise.resolve();
+
+    return logout.then(() => super.invalidate(data));
+  }
+
+  _requestAccessToken(data: MakeRequestData, headers: Record<string, string> = {}) {
+    return super
+      ._requestAccessToken(data, headers)
+      .then(response => this._sessionMetadata(response));
+  }
+
+  _refreshAccessToken(expiresIn: number | undefined, _refreshToken?: string, scope?: string) {
+    return super._refreshAccessToken(expiresIn, PROXY_REFRESH_TOKEN, scope);
+  }
+
+  _requestRefreshedAccessToken(expiresIn: number | undefined): Promise<unknown> {
+    const serverTokenEndpoint = this.get('serverTokenEndpoint');
+
+    return new Promise((resolve, reject) => {
+      this.makeRequest(serverTokenEndpoint, { grant_type: 'refresh_token' }).then(
+        response => {
+          run(() => {
+            const data = this._sessionMetadata(response, expiresIn);
+            this.trigger('sessionDataUpdated', data);
+            this._scheduleAccessTokenRefresh(data['expires_in'], data['expires_at'], undefined);
+            resolve(data);
+          });
+        },
+        error => reject(this._handleRefreshFailure(error))
+      );
+    });
+  }
+
+  _scheduleAccessTokenRefresh(
+    expiresIn: number | undefined,
+    expiresAt: number | null | undefined,
+    _refreshToken: string | undefined
+  ) {
+    super._scheduleAccessTokenRefresh(expiresIn, expiresAt, PROXY_REFRESH_TOKEN);
+  }
+
+  _isRefreshedSessionData(stored: OAuthResponseSuccess, current: OAuthResponseSuccess): boolean {
+    return Boolean(stored['expires_at']) && stored['expires_at'] !== current['expires_at'];
+  }
+
+  _sessionMetadata(response: OAuthResponseSuccess, expiresIn?: number): OAuthResponseSuccess {
+    expiresIn = response['expires_in'] || expiresIn;
+
+    return {
+      expires_in: expiresIn,
+      expires_at: response['expires_at'] || this._absolutizeExpirationTime(expiresIn),
+    } as OAuthResponseSuccess;
+  }
+
+  _validate(data: OAuthResponseSuccess) {
+    return Boolean(data && (data['expires_in'] || data['expires_at']));
+  }
+}
@@ -0,0 +1,244 @@
+import { makeArray } from '@ember/array';
+import type { Timer } from '@ember/runloop';
+import { later, cancel } from '@ember/runloop';
+import {
+  OAuth2Authenticator,
+  type OAuthDeviceAuthorizationRequestData,
+  type OAuthDeviceCodeRequestData,
+} from './oauth2-password-grant';
+import { OAuth2Error } from '../errors';
+
+export type DeviceAuthorizationResponse = {
+  device_code: string;
+  user_code: string;
+  verification_uri: string;
+  verification_uri_complete?: string;
+  expires_in: number;
+  interval?: number;
+};
+
+type DeviceAuthorizationPolling = {
+  interval: number;
+  timer: Timer | undefined;
+  reject: (reason?: unknown) => void;
+};
+
+const DEVICE_CODE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:device_code';
+
+// see https://tools.ietf.org/html/rfc8628#section-3.5
+const TERMINAL_POLLING_ERRORS = ['access_denied', 'expired_token', 'invalid_grant'];
+
+/**
+  Authenticator that conforms to the OAuth 2.0 _"Device Authorization Grant"_
+  ([RFC 8628](https://tools.ietf.org/html/rfc8628)) for applications running on
+  devices that cannot show a login form, e.g. kiosks or TVs.
+
+  The application first requests a device code and shows the returned
+  `user_code` and `verification_uri` to the user who then completes the
+  authorization on another device. The session is then authenticated with
+  the device authorization response, which makes the authenticator poll the
+  token endpoint until the user granted or denied access:
+
+  ```js
+  // app/components/device-login.js
+  import Component from '@glimmer/component';
+  import { tracked } from '@glimmer/tracking';
+  import { service } from '@ember/service';
+  import { getOwner } from '@ember/application';
+
+  export default class DeviceLoginComponent extends Component {
+    &#64;service session;
+    &#64;tracked deviceAuthorization;
+
+    async login() {
+      let authenticator = getOwner(this).lookup('authenticator:device');
+      this.deviceAuthorization = await authenticator.requestDeviceAuthorization();
+      await this.session.authenticate('authenticator:device', this.deviceAuthorization);
+    }
+  }
+  ```
+
+  Once authenticated, access tokens are refreshed and revoked just like with the
+  {@linkplain OAuth2PasswordGrantAuthenticator}.
+
+  @class OAuth2DeviceAuthorizationAuthenticator
+  @extends OAuth2Authenticator
+  @public
+*/
+export default class OAuth2DeviceAuthorizationAuthenticator extends OAuth2Authenticator {
+  /**
+    The endpoint on the server that device authorization requests are sent to
+    (see [RFC 8628, section 3.1](https://tools.ietf.org/html/rfc8628#section-3.1)).
+
+    @memberof OAuth2DeviceAuthorizationAuthenticator
+    @property serverDeviceAuthorizationEndpoint
+    @type String
+    @default '/device_authorization'
+    @public
+  */
+  serverDeviceAuthorizationEndpoint: string = '/device_authorization';
+
+  _devicePolling: DeviceAuthorizationPolling | null = null;
+
+  /**
+    Requests a device code and user code from the
+    {@linkplain OAuth2DeviceAuthorizationAuthenticator.serverDeviceAuthorizationEndpoint}
+    (see [RFC 8628, section 3.2](https://tools.ietf.org/html/rfc8628#section-3.2)).
+    The application needs to show the `user_code` along with the
+    `verification_uri` (or `verification_uri_complete`) of the response to
+    the user.
+
+    @memberof OAuth2DeviceAuthorizationAuthenticator
+    @method requestDeviceAuthorization
+    @param {String|Array} scope The scope of the access request (see [RFC 6749, section 3.3](http://tools.ietf.org/html/rfc6749#section-3.3))
+    @param {Object} headers Optional headers to send with the request
+    @return {Promise} A promise that resolves with the device authorization response or rejects with an `OAuth2Error`
+    @public
+  */
+  requestDeviceAuthorization(
+    scope: string | string[] = [],
+    headers: Record<string, string> = {}
+  ): Promise<DeviceAuthorizationResponse> {
+    const data: OAuthDeviceAuthorizationRequestData = {};
+    const scopesString = makeArray(scope).join(' ');
+    if (scopesString.trim().length > 0) {
+      data.scope = scopesString;
+    }
+    const serverDeviceAuthorizationEndpoint = this.get('serverDeviceAuthorizationEndpoint');
+
+    return this.makeRequest(serverDeviceAuthorizationEndpoint, data, headers).then(response => {
+      const deviceAuthorization = response as unknown as DeviceAuthorizationResponse;
+      if (!deviceAuthorization.device_code || !deviceAuthorization.user_code) {
+        return Promise.reject(
+          new OAuth2Error('invalid_response', {
+            error_description: 'device_code or user_code is missing in server response',
+          })
+        );
+      }
+
+      return deviceAuthorization;
+    });
+  }
+
+  /**
+    Authenticates the session with a device authorization response as returned
+    by
+    {@linkplain OAuth2DeviceAuthorizationAuthenticator.requestDeviceAuthorization}
+    by polling the token endpoint at the `interval` the server requested (see
+    [RFC 8628, section 3.4](https://tools.ietf.org/html/rfc8628#section-3.4)).
+
+    While the server responds with `authorization_pending` the authenticator
+    keeps polling; a `slow_down` response increases the interval by 5 seconds.
+    On other failures, e.g. network errors, it keeps polling at twice the
+    interval. The returned promise resolves once the user granted access and
+    rejects when the user denied access (`access_denied`), the device code
+    expired (`expired_token`) or was rejected (`invalid_grant`) or polling was
+    cancelled via
+    {@linkplain OAuth2DeviceAuthorizationAuthenticator.cancelDeviceAuthorization}.
+
+    @memberof OAuth2DeviceAuthorizationAuthenticator
+    @method authenticate
+    @param {Object} deviceAuthorization The device authorization response
+    @param {Object} headers Optional headers to send with the token requests
+    @return {Promise} A promise that when it resolves results in the session becoming authenticated. If authentication fails, the promise will reject with an `OAuth2Error`
+    @public
+  */
+  authenticate(
+    deviceAuthorization: DeviceAuthorizationResponse,
+    headers: Record<string, string> = {}
+  ) {
+    this.cancelDeviceAuthorization();
+
+    return new Promise((resolve, reject) => {
+      const expiresAt = this._absolutizeExpirationTime(deviceAuthorization.expires_in);
+      const data: OAuthDeviceCodeRequestData = {
+        grant_type: DEVICE_CODE_GRANT_TYPE,
+        device_code: deviceAuthorization.device_code,
+      };
+      const polling: DeviceAuthorizationPolling = {
+        interval: deviceAuthorization.interval ?? 5,
+        timer: undefined,
+        reject,
+      };
+      this._devicePolling = polling;
+
+      const schedulePoll = () => {
+        polling.timer = later(poll, polling.interval * 1000);
+      };
+      const finish = () => {
+        const isCurrent = this._devicePolling === polling;
+        if (isCurrent) {
+          this._devicePolling = null;
+        }
+        return isCurrent;
+      };
+      const poll = () => {
+        if (expiresAt && new Date().getTime() > expiresAt) {
+          if (finish()) {
+            reject(
+              new OAuth2Error('expired_token', {
+                error_description: 'The device code has expired.',
+              })
+            );
+          }
+          return;
+        }
+
+        this._requestAccessToken(data, headers).then(
+          response => {
+            if (finish()) {
+              resolve(response);
+            } else {
+              this._cancelAccessTokenRefresh();
+            }
+          },
+          error => {
+            if (this._devicePolling !== polling) {
+              return;
+            }
+
+            const code = error instanceof OAuth2Error ? error.error : undefined;
+            if (code === 'authorization_pending') {
+              schedulePoll();
+            } else if (code === 'slow_down') {
+              polling.interval += 5;
+              schedulePoll();
+            } else if (code && TERMINAL_POLLING_ERRORS.indexOf(code) !== -1) {
+              finish();
+              reject(error);
+            } else {
+              // the device code is still valid after e.g. network errors so
+              // keep polling, less frequently though
+              polling.interval *= 2;
+              schedulePoll();
+            }
+          }
+        );
+      };
+
+      schedulePoll();
+    });
+  }
+
+  /**
+    Stops polling the token endpoint for a pending device authorization; the
+    promise returned by
+    {@linkplain OAuth2DeviceAuthorizationAuthenticator.authenticate} rejects.
+
+    @memberof OAuth2DeviceAuthorizationAuthenticator
+    @method cancelDeviceAuthorization
+    @public
+  */
+  cancelDeviceAuthorization() {
+    const polling = this._devicePolling;
+    if (polling) {
+      this._devicePolling = null;
+      cancel(polling.timer);
+      polling.reject(
+        new OAuth2Error('authorization_cancelled', {
+          error_description: 'Device authorization was cancelled.',
+        })
+      );
+    }
+  }
+}
@@ -1,6 +1,26 @@
 /** @module ember-simple-auth/authenticators/oauth2-implicit-grant **/
 
+import { makeArray } from '@ember/array';
+import { assert } from '@ember/debug';
+import { getOwner } from '@ember/application';
+import { isTesting } from '@embroider/macros';
+import type { Timer } from '@ember/runloop';
+import { run, later, cancel } from '@ember/runloop';
 import BaseAuthenticator from './base';
+import isFastBoot from '../utils/is-fastboot';
+import { generateRandomString } from '../-internals/crypto';
+import { toAuthorizationUrl } from '../-internals/authorization-request';
+import { decodeJwt } from '../-internals/jwt';
+import {
+  SILENT_RENEWAL_OFFSET,
+  SILENT_RENEWAL_TIMEOUT,
+  cancelSilentRenewal,
+  handleSilentRenewalFailure,
+  renewInHiddenFrame,
+  scheduleSilentRenewal,
+} from '../-internals/silent-renewal';
+import { OAuth2Error } from '../errors';
+
 /**
   Parses the location hash (as received from `window.location.hash`) into an
   object, e.g.:
@@ -38,7 +58,18 @@ export type ImplicitGrantData = {
   scope: string;
   state: string;
   access_token: string;
+  id_token?: string;
+  token_type?: string;
+  expires_in?: string;
+  expires_at?: number;
   error?: string;
+  error_description?: string;
+  error_uri?: string;
+};
+
+export type ImplicitGrantRequest = {
+  state: string;
+  nonce: string;
 };
 
 /**
@@ -46,44 +77,209 @@ export type ImplicitGrantData = {
  ([RFC 6749](http://tools.ietf.org/html/rfc6749)), specifically the _"Implicit
  Grant Type"_.
 
- Use {@linkplain SessionService.authenticate} in your
- OAuth 2.0 redirect route to parse authentication parameters from location
- hash string into an object.
+ The application redirects the browser to the URL built by
+ {@linkplain OAuth2ImplicitGrantAuthenticator.buildAuthorizationUrl}. When
+ the authorization server redirects back, use
+ {@linkplain SessionService.handleCallback} in your OAuth 2.0 redirect route
+ to authenticate the session with the parameters from the location hash. The
+ `state` and `nonce` sent with the authorization request are checked against
+ the response so that responses the application did not request are rejected.
+
+ As there are no refresh tokens with this grant type, the access token can be
+ renewed silently before it expires instead (see
+ {@linkplain OAuth2ImplicitGrantAuthenticator.silentRenewalRedirectUri}).
+ Once the access token has expired, the session is invalidated (see
+ {@linkplain BaseAuthenticator.sessionDataInvalidated}) so that the
+ application does not keep sending it.
 
  @class OAuth2ImplicitGrantAuthenticator
  @extends BaseAuthenticator
  @public
  */
 export default class OAuth2ImplicitGrantAuthenticator extends BaseAuthenticator {
+  /**
+   The authorization server's endpoint that authorization requests are sent
+   to.
+
+   @memberof OAuth2ImplicitGrantAuthenticator
+   @property serverAuthorizationEndpoint
+   @type String
+   @default '/authorize'
+   @public
+   */
+  serverAuthorizationEndpoint = '/authorize';
+
+  /**
+   The client_id to be sent to the authorization server.
+
+   @memberof OAuth2ImplicitGrantAuthenticator
+   @property clientId
+   @type String
+   @default null
+   @public
+   */
+  clientId: string | null = null;
+
+  /**
+   The URI the authorization server redirects back to with the access token,
+   i.e. the application's OAuth 2.0 redirect route.
+
+   @memberof OAuth2ImplicitGrantAuthenticator
+   @property redirectUri
+   @type String
+   @default null
+   @public
+   */
+  redirectUri: string | null = null;
+
+  /**
+   The `sessionStorage` key that the `state` and `nonce` of a pending
+   authorization request are kept in while the browser is redirected to the
+   authorization server.
+
+   @memberof OAuth2ImplicitGrantAuthenticator
+   @property authorizationRequestStorageKey
+   @type String
+   @default 'ember_simple_auth-implicit-grant-request'
+   @public
+   */
+  authorizationRequestStorageKey: string = 'ember_simple_auth-implicit-grant-request';
+
+  /**
+   The URI the authorization server redirects to when renewing the access
+   token silently. If this is set, the authenticator renews the access token
+   before it expires by loading an authorization request with `prompt=none`
+   in a hidden iframe (see
+   {@linkplain OAuth2ImplicitGrantAuthenticator.renewSilently}).
+
+   The page at this URI needs to post its URL back to the application the
+   same way as for the
+   {@linkplain OAuth2AuthorizationCodeAuthenticator.silentRenewalRedirectUri}.
+
+   @memberof OAuth2ImplicitGrantAuthenticator
+   @property silentRenewalRedirectUri
+   @type String
+   @default null
+   @public
+   */
+  silentRenewalRedirectUri: string | null = null;
+
+  /**
+   The time in milliseconds before the access token expires at which it is
+   renewed silently.
+
+   @memberof OAuth2ImplicitGrantAuthenticator
+   @property silentRenewalOffset
+   @type Number
+   @default 30000
+   @public
+   */
+  silentRenewalOffset = SILENT_RENEWAL_OFFSET;
+
+  /**
+   The time in milliseconds to wait for the authorization server's response
+   when renewing the access token silently.
+
+   @memberof OAuth2ImplicitGrantAuthenticator
+   @property silentRenewalTimeout
+   @type Number
+   @default 10000
+   @public
+   */
+  silentRenewalTimeout = SILENT_RENEWAL_TIMEOUT;
+
+  _silentRenewalTimeout: Timer | undefined = undefined;
+
+  _expirationTimeout: Timer | undefined = undefined;
+
   /**
    Restores the session from a session data object; __will return a resolving
-   promise when there is a non-empty `access_token` in the session data__ and
-   a rejecting promise otherwise.
+   promise when there is a non-empty `access_token` in the session data that
+   has not expired yet__ and a rejecting promise otherwise.
 
    @memberof OAuth2ImplicitGrantAuthenticator
    @method restore
    @param {Object} data The data to restore the session from
-   @return {Promise} A promise that when it resolves results in the session becoming or remaining authenticated
+   @return {Promise} A promise that when it resolves results in the session becoming or remaining authenticated. If restoration fails, the promise will reject with an `OAuth2Error`, `invalid_token` in case the access token has expired
    @public
    */
   restore(data: ImplicitGrantData) {
     return new Promise((resolve, reject) => {
       if (!this._validateData(data)) {
-        return reject('Could not restore session - "access_token" missing.');
+        return reject(
+          new OAuth2Error('invalid_request', {
+            error_description: 'Could not restore session - "access_token" missing.',
+          })
+        );
+      } else if (data.expires_at && data.expires_at <= new Date().getTime()) {
+        return reject(
+          new OAuth2Error('invalid_token', { error_description: 'access_token has expired' })
+        );
       }
 
+      this._scheduleTokenExpiration(data.expires_at, data.scope);
       return resolve(data);
     });
   }
 
+  /**
+   Builds the URL of the authorization request that the browser needs to be
+   redirected to (see
+   [RFC 6749, section 4.2.1](https://tools.ietf.org/html/rfc6749#section-4.2.1)).
+
+   This generates a fresh `state` and an OpenID Connect `nonce` and keeps
+   them in the `sessionStorage` so that
+   {@linkplain OAuth2ImplicitGrantAuthenticator.authenticate} can verify the
+   response.
+
+   @memberof OAuth2ImplicitGrantAuthenticator
+   @method buildAuthorizationUrl
+   @param {String|Array} scope The scope of the access request (see [RFC 6749, section 3.3](http://tools.ietf.org/html/rfc6749#section-3.3))
+   @param {Object} params Additional query parameters to send to the authorization server (e.g. `response_type: 'id_token token'` or `login_hint`); these cannot override the `state` or the `nonce`
+   @return {String} The authorization URL
+   @public
+   */
+  buildAuthorizationUrl(
+    scope: string | string[] = [],
+    params: Record<string, string> = {}
+  ): string {
+    const request = this._createAuthorizationRequest();
+    this._storeAuthorizationRequest(request);
+
+    return this._authorizationUrl(
+      request,
+      this.get('redirectUri'),
+      makeArray(scope).join(' '),
+      params
+    );
+  }
+
   /**
    Authenticates the session using the specified location `hash`
    (see https://tools.ietf.org/html/rfc6749#section-4.2.2).
 
+   The `state` of the response is checked against the one generated by
+   {@linkplain OAuth2ImplicitGrantAuthenticator.buildAuthorizationUrl}. If
+   the response contains an ID token, its `nonce` claim is checked as well
+   (its signature is not verified though; use the
+   {@linkplain OpenIdConnectAuthenticator} for that).
+
    __If the access token is valid and thus authentication succeeds, a promise that
    resolves with the access token is returned__, otherwise a promise that rejects
-   with the error code as returned by the server is returned
-   (see https://tools.ietf.org/html/rfc6749#section-4.2.2.1).
+   with an `OAuth2Error` carrying the error as returned by the server is returned
+   (see https://tools.ietf.org/html/rfc6749#section-4.2.2.1). If the `state`
+   or the `nonce` do not match, the `OAuth2Error` is `invalid_state` or
+   `invalid_nonce` respectively.
+   __Responses are rejected with `invalid_state` as well if the authorization
+   request was not built with
+   {@linkplain OAuth2ImplicitGrantAuthenticator.buildAuthorizationUrl}__, e.g.
+   by an application that builds the authorization URL itself (see the
+   [v9 upgrade guide](https://github.com/mainmatter/ember-simple-auth/blob/master/guides/upgrade-to-v9.md)).
+
+   The `expires_in` of the response is converted into an absolute
+   `expires_at` timestamp (in milliseconds) that is stored in the session
+   data so that the session can be invalidated once the access token has
+   expired, also after the application was reloaded.
 
    @memberof OAuth2ImplicitGrantAuthenticator
    @method authenticate
@@ -93,16 +289,73 @@ export default class OAuth2ImplicitGrantAuthenticator extends BaseAuthenticator
    */
   authenticate(hash: ImplicitGrantData) {
     return new Promise((resolve, reject) => {
-      if (hash.error) {
-        reject(hash.error);
-      } else if (!this._validateData(hash)) {
-        reject('Invalid auth params - "access_token" missing.');
+      const error = this._validateResponse(hash, this._consumeAuthorizationRequest());
+      if (error) {
+        reject(error);
       } else {
-        resolve(hash);
+        const data = this._withExpiration(hash);
+        this._scheduleTokenExpiration(data.expires_at, data.scope);
+        resolve(data);
       }
     });
   }
 
+  /**
+   Renews the access token without user interaction by loading an
+   authorization request with `prompt=none` in a hidden iframe that is
+   redirected to the
+   {@linkplain OAuth2ImplicitGrantAuthenticator.silentRenewalRedirectUri}.
+   This works as long as the user's session with the authorization server is
+   still active.
+
+   __On success, the authenticator triggers the `sessionDataUpdated` event__
+   with the new session data. If the authorization server responds that the
+   user needs to log in again (e.g. with `login_required`), it triggers the
+   `sessionDataInvalidated` event with the `OAuth2Error`; on other failures
+   it triggers the `tokenRefreshFailed` event.
+
+   @memberof OAuth2ImplicitGrantAuthenticator
+   @method renewSilently
+   @param {String} scope The scope of the access request
+   @return {Promise} A promise that resolves with the new session data or rejects with an `OAuth2Error`
+   @public
+   */
+  renewSilently(scope?: string): Promise<ImplicitGrantData> {
+    const redirectUri = this.get('silentRenewalRedirectUri');
+    assert('renewSilently requires the silentRenewalRedirectUri to be set!', Boolean(redirectUri));
+
+    const request = this._createAuthorizationRequest();
+
+    return this._authorizeInHiddenFrame(
+      this._authorizationUrl(request, redirectUri, scope, { prompt: 'none' }),
+      redirectUri as string
+    )
+      .then(responseUrl => {
+        const data = parseResponse(responseUrl) as unknown as ImplicitGrantData;
+        const error = this._validateResponse(data, request);
+
+        return error ? Promise.reject(error) : this._withExpiration(data);
+      })
+      .then(
+        data => {
+          run(() => {
+            this._scheduleTokenExpiration(data.expires_at, data.scope || scope);
+            this.trigger('sessionDataUpdated', data);
+          });
+          return data;
+        },
+        error => {
+          run(() =>
+            handleSilentRenewalFailure(this, error, () => {
+              this._cancelSilentRenewal();
+              this._cancelExpiration();
+            })
+          );
+          return Promise.reject(error);
+        }
+      );
+  }
+
   /**
    This method simply returns a resolving promise.
 
@@ -112,9 +365,139 @@ export default class OAuth2ImplicitGrantAuthenticator extends BaseAuthenticator
    @public
    */
   invalidate() {
+    this._cancelSilentRenewal();
+    this._cancelExpiration();
     return Promise.resolve();
   }
 
+  _withExpiration(data: ImplicitGrantData): ImplicitGrantData {
+    if (!data.expires_in) {
+      return data;
+    }
+
+    return { ...data, expires_at: new Date().getTime() + Number(data.expires_in) * 1000 };
+  }
+
+  _scheduleTokenExpiration(expiresAt: number | null | undefined, scope?: string) {
+    this._scheduleSilentRenewal(expiresAt, scope);
+    this._scheduleExpiration(expiresAt);
+  }
+
+  _scheduleExpiration(expiresAt: number | null | undefined) {
+    if (!expiresAt || isFastBoot(getOwner(this))) {
+      return;
+    }
+
+    this._cancelExpiration();
+    if (!isTesting()) {
+      this._expirationTimeout = later(
+        () => this._handleExpiration(),
+        Math.max(expiresAt - new Date().getTime(), 0)
+      );
+    }
+  }
+
+  _cancelExpiration() {
+    cancel(this._expirationTimeout);
+    delete this._expirationTimeout;
+  }
+
+  _handleExpiration() {
+    this._cancelSilentRenewal();
+    this._cancelExpiration();
+    this.trigger(
+      'sessionDataInvalidated',
+      new OAuth2Error('invalid_token', { error_description: 'access_token has expired' })
+    );
+  }
+
+  _scheduleSilentRenewal(expiresAt: number | null | undefined, scope?: string) {
+    scheduleSilentRenewal(
+      this,
+      expiresAt,
+      () => this.renewSilently(scope),
+      () => this._cancelSilentRenewal()
+    );
+  }
+
+  _cancelSilentRenewal() {
+    cancelSilentRenewal(this);
+  }
+
+  _authorizeInHiddenFrame(url: string, redirectUri: string): Promise<string> {
+    return renewInHiddenFrame(this, url, redirectUri);
+  }
+
+  _createAuthorizationRequest(): ImplicitGrantRequest {
+    return { state: generateRandomString(32), nonce: generateRandomString(32) };
+  }
+
+  _authorizationUrl(
+    request: ImplicitGrantRequest,
+    redirectUri: string | null,
+    scope: string | undefined,
+    params: Record<string, string>
+  ): string {
+    const query: Record<string, string> = { response_type: 'token' };
+    const clientId = this.get('clientId');
+    if (clientId) {
+      query['client_id'] = clientId;
+    }
+    if (redirectUri) {
+      query['redirect_uri'] = redirectUri;
+    }
+    if (scope && scope.trim().length > 0) {
+      query['scope'] = scope;
+    }
+    // the parameters the response is validated with cannot be overridden
+    Object.assign(query, params, { state: request.state, nonce: request.nonce });
+
+    return toAuthorizationUrl(this.get('serverAuthorizationEndpoint'), query);
+  }
+
+  _validateResponse(
+    data: ImplicitGrantData,
+    request: ImplicitGrantRequest | null
+  ): OAuth2Error | null {
+    if (data.error) {
+      return OAuth2Error.fromParams(data);
+    } else if (!request || data.state !== request.state) {
+      return new OAuth2Error('invalid_state', {
+        error_description: 'Invalid auth params - "state" does not match.',
+      });
+    } else if (!this._validateData(data)) {
+      return new OAuth2Error('invalid_request', {
+        error_description: 'Invalid auth params - "access_token" missing.',
+      });
+    } else if (data.id_token && !this._validateNonce(data.id_token, request.nonce)) {
+      return new OAuth2Error('invalid_nonce', {
+        error_description: 'Invalid auth params - "nonce" does not match.',
+      });
+    }
+
+    return null;
+  }
+
+  _validateNonce(idToken: string, nonce: string): boolean {
+    try {
+      return decodeJwt(idToken).payload.nonce === nonce;
+    } catch (_error) {
+      return false;
+    }
+  }
+
+  _storeAuthorizationRequest(request: ImplicitGrantRequest) {
+    sessionStorage.setItem(this.get('authorizationRequestStorageKey'), JSON.stringify(request));
+  }
+
+  _consumeAuthorizationRequest(): ImplicitGrantRequest | null {
+    const key = this.get('authorizationRequestStorageKey');
+    const request = sessionStorage.getItem(key);
+    sessionStorage.removeItem(key);
+
+    return request ? JSON.parse(request) : null;
+  }
+
   _validateData(data: ImplicitGrantData) {
     // see https://tools.ietf.org/html/rfc6749#section-4.2.2
     return data && data.access_token;
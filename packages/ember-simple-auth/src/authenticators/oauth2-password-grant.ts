@@ -1,5 +1,5 @@
 import { makeArray } from '@ember/array';
-import { warn } from '@ember/debug';
+import { assert, warn } from '@ember/debug';
 import { getOwner } from '@ember/application';
 import BaseAuthenticator from './base';
 import isFastBoot from '../utils/is-fastboot';
@@ -7,6 +7,17 @@ import { waitFor } from '@ember/test-waiters';
 import { isTesting } from '@embroider/macros';
 import type { Timer } from '@ember/runloop';
 import { run, later, cancel } from '@ember/runloop';
+import { decodeJwt, signJwt, type SigningKey } from '../-internals/jwt';
+import { generateRandomString } from '../-internals/crypto';
+import { withLock } from '../-internals/lock';
+import {
+  createProof,
+  deleteKeyPair,
+  loadKeyPair,
+  nonceOrigin,
+  type DPoPKeyPair,
+} from '../-internals/dpop';
+import { OAuth2Error } from '../errors';
 
 export type OAuthResponseSuccess = {
   access_token: string;
@@ -15,6 +26,7 @@ export type OAuthResponseSuccess = {
   expires_at?: number;
   refresh_token?: string;
   scope?: string;
+  sub?: string;
 };
 
 export type OAuthPasswordRequestData = {
@@ -32,6 +44,20 @@ export type OAuthInvalidateRequestData = {
   scope?: string;
 };
 
+export type OAuthIntrospectionRequestData = {
+  token: string;
+  token_type_hint: 'access_token';
+  client_id?: string;
+};
+
+export type OAuthIntrospectionResponse = {
+  active: boolean;
+  scope?: string;
+  sub?: string;
+  exp?: number;
+  [key: string]: unknown;
+};
+
 export type OAuthRefreshRequestData = {
   grant_type: 'refresh_token';
   refresh_token: string;
@@ -39,11 +65,56 @@ export type OAuthRefreshRequestData = {
   client_id?: string;
 };
 
+export type OAuthAuthorizationCodeRequestData = {
+  grant_type: 'authorization_code';
+  code: string;
+  redirect_uri?: string;
+  code_verifier?: string;
+  client_id?: string;
+};
+
+export type OAuthDeviceAuthorizationRequestData = {
+  scope?: string;
+  client_id?: string;
+};
+
+export type OAuthDeviceCodeRequestData = {
+  grant_type: 'urn:ietf:params:oauth:grant-type:device_code';
+  device_code: string;
+  client_id?: string;
+};
+
+export type OAuthGrantRequestData = {
+  grant_type: string;
+  scope?: string;
+  client_id?: string;
+  [key: string]: string | undefined;
+};
+
+export type ClientAuthenticationMethod =
+  | 'none'
+  | 'client_secret_post'
+  | 'client_secret_basic'
+  | 'private_key_jwt';
+
+export type TokenRevocationPolicy = 'strict' | 'best-effort' | 'fire-and-forget';
+
 export type MakeRequestData =
   | OAuthPasswordRequestData
+  | OAuthGrantRequestData
+  | OAuthAuthorizationCodeRequestData
+  | OAuthDeviceAuthorizationRequestData
+  | OAuthDeviceCodeRequestData
   | OAuthInvalidateRequestData
+  | OAuthIntrospectionRequestData
   | OAuthRefreshRequestData;
 
+const TOKEN_REFRESH_LOCK_NAME = 'ember_simple_auth-token-refresh';
+const JWT_BEARER_CLIENT_ASSERTION_TYPE = 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer';
+
+/**
+ * @deprecated Authenticators reject with an `OAuth2Error` instead of the response.
+ */
 export interface OAuth2Response extends Response {
   /**
    * @deprecated 'responseText' is deprecated. This is a legacy AJAX API.
@@ -56,19 +127,19 @@ export interface OAuth2Response extends Response {
 }
 
 /**
-  Authenticator that conforms to OAuth 2
-  ([RFC 6749](http://tools.ietf.org/html/rfc6749)), specifically the _"Resource
-  Owner Password Credentials Grant Type"_.
-
-  This authenticator also automatically refreshes access tokens (see
-  [RFC 6749, section 6](http://tools.ietf.org/html/rfc6749#section-6)) if the
-  server supports it.
+  Base class of the OAuth 2.0 authenticators that obtain access tokens from
+  the {@linkplain OAuth2PasswordGrantAuthenticator.serverTokenEndpoint} and
+  refresh and revoke them. It implements everything but
+  {@linkplain BaseAuthenticator.authenticate} so that subclasses can accept
+  the arguments of their grant type, e.g. the callback parameters of the
+  authorization code flow. Its properties and methods are documented with
+  the {@linkplain OAuth2PasswordGrantAuthenticator}.
 
-  @class OAuth2PasswordGrantAuthenticator
+  @class OAuth2Authenticator
   @extends BaseAuthenticator
   @public
 */
-export default class OAuth2PasswordGrantAuthenticator extends BaseAuthenticator {
+export class OAuth2Authenticator extends BaseAuthenticator {
   /**
     Triggered when the authenticator refreshed the access token (see
     [RFC 6749, section 6](http://tools.ietf.org/html/rfc6749#section-6)).
@@ -79,6 +150,31 @@ export default class OAuth2PasswordGrantAuthenticator extends BaseAuthenticator
     @public
   */
 
+  /**
+    Triggered when refreshing the access token failed in a way that cannot be
+    recovered from, i.e. the server responded with an `invalid_grant` error or
+    a `401` status because the refresh token has expired or was revoked. The
+    session is invalidated and the reason is passed on to
+    {@linkplain SessionService.handleInvalidation} so the application can tell
+    the user their session expired.
+
+    @memberof OAuth2PasswordGrantAuthenticator
+    @event sessionDataInvalidated
+    @param {OAuth2Error} reason The error with the OAuth 2.0 `error` code, the `error_description` and the response `status` if present
+    @public
+  */
+
+  /**
+    Triggered when refreshing the access token failed temporarily, e.g.
+    because of a network error or because the server responded with a `5xx`
+    status. The session remains authenticated.
+
+    @memberof OAuth2PasswordGrantAuthenticator
+    @event tokenRefreshFailed
+    @param {OAuth2Error} reason The error with the OAuth 2.0 `error` code (or `network_error` or `server_error`), the `error_description` and the response `status` if present
+    @public
+  */
+
   /**
     The client_id to be sent to the authentication server (see
     https://tools.ietf.org/html/rfc6749#appendix-A.1).
@@ -95,6 +191,104 @@ export default class OAuth2PasswordGrantAuthenticator extends BaseAuthenticator
   */
   clientId: string | null = null;
 
+  /**
+    The method the client authenticates with at the token endpoint (see
+    [RFC 6749, section 2.3](https://tools.ietf.org/html/rfc6749#section-2.3)
+    and [OpenID Connect Core, section 9](https://openid.net/specs/openid-connect-core-1_0.html#ClientAuthentication)).
+    Client authentication is applied to all requests the authenticator sends,
+    i.e. token, refresh, revocation and device authorization requests.
+
+    * `'none'`: only the
+      {@linkplain OAuth2PasswordGrantAuthenticator.clientId} is sent in the
+      request body.
+    * `'client_secret_post'`: the `client_id` and the
+      {@linkplain OAuth2PasswordGrantAuthenticator.clientSecret} are sent in
+      the request body.
+    * `'client_secret_basic'`: the `client_id` and the
+      {@linkplain OAuth2PasswordGrantAuthenticator.clientSecret} are sent via
+      HTTP Basic authentication.
+    * `'private_key_jwt'`: a client assertion (see
+      [RFC 7523](https://tools.ietf.org/html/rfc7523)) signed with the
+      {@linkplain OAuth2PasswordGrantAuthenticator.clientAssertionKey} is sent
+      in the request body.
+
+    __A client secret or private key that is shipped to the browser is not
+    secret!__ These methods are only meant for confidential clients that can
+    keep them secret, e.g. applications wrapped in Electron or rendered in
+    FastBoot. Other methods can be implemented by overriding
+    {@linkplain OAuth2PasswordGrantAuthenticator.authenticateClient}.
+
+    @memberof OAuth2PasswordGrantAuthenticator
+    @property clientAuthentication
+    @type String
+    @default 'none'
+    @public
+  */
+  clientAuthentication: ClientAuthenticationMethod = 'none';
+
+  /**
+    The client secret used for the `client_secret_post` and
+    `client_secret_basic` client authentication methods (see
+    {@linkplain OAuth2PasswordGrantAuthenticator.clientAuthentication}).
+
+    @memberof OAuth2PasswordGrantAuthenticator
+    @property clientSecret
+    @type String
+    @default null
+    @public
+  */
+  clientSecret: string | null = null;
+
+  /**
+    The private key (a WebCrypto `CryptoKey`) client assertions are signed
+    with when using the `private_key_jwt` client authentication method (see
+    {@linkplain OAuth2PasswordGrantAuthenticator.clientAuthentication}).
+
+    @memberof OAuth2PasswordGrantAuthenticator
+    @property clientAssertionKey
+    @type CryptoKey
+    @default null
+    @public
+  */
+  clientAssertionKey: SigningKey | null = null;
+
+  /**
+    The JWS algorithm client assertions are signed with, e.g. `'RS256'`,
+    `'PS256'` or `'ES256'`; it must match the
+    {@linkplain OAuth2PasswordGrantAuthenticator.clientAssertionKey}.
+
+    @memberof OAuth2PasswordGrantAuthenticator
+    @property clientAssertionAlgorithm
+    @type String
+    @default 'RS256'
+    @public
+  */
+  clientAssertionAlgorithm = 'RS256';
+
+  /**
+    The key id that is sent as the `kid` header of client assertions so that
+    the server can find the matching public key.
+
+    @memberof OAuth2PasswordGrantAuthenticator
+    @property clientAssertionKeyId
+    @type String
+    @default null
+    @public
+  */
+  clientAssertionKeyId: string | null = null;
+
+  /**
+    The audience of client assertions. This defaults to the absolute URL of
+    the {@linkplain OAuth2PasswordGrantAuthenticator.serverTokenEndpoint}.
+
+    @memberof OAuth2PasswordGrantAuthenticator
+    @property clientAssertionAudience
+    @type String
+    @default null
+    @public
+  */
+  clientAssertionAudience: string | null = null;
+
   /**
     The endpoint on the server that authentication and token refresh requests
     are sent to.
@@ -112,9 +306,9 @@ export default class OAuth2PasswordGrantAuthenticator extends BaseAuthenticator
     set this if the server actually supports token revocation. If this is
     `null`, the authenticator will not revoke tokens on session invalidation.
 
-    If token revocation is enabled but fails, session invalidation will be
-    intercepted and the session will remain authenticated (see
-    {@linkplain OAuth2PasswordGrantAuthenticator.invalidate}.
+    Whether session invalidation is intercepted when token revocation fails
+    depends on the
+    {@linkplain OAuth2PasswordGrantAuthenticator.tokenRevocationPolicy}.
 
     @memberof OAuth2PasswordGrantAuthenticator
     @property serverTokenRevocationEndpoint
@@ -124,10 +318,91 @@ export default class OAuth2PasswordGrantAuthenticator extends BaseAuthenticator
   */
   serverTokenRevocationEndpoint: string | null = null;
 
+  /**
+    Determines how tokens are revoked when the session is invalidated (see
+    {@linkplain OAuth2PasswordGrantAuthenticator.invalidate}):
+
+    * `'strict'`: the tokens are revoked one after another and if a revocation
+      request fails, session invalidation is intercepted and the session
+      remains authenticated. The promise returned by
+      {@linkplain SessionService.invalidate} rejects with the
+      {@linkplain OAuth2Error} of the failed request.
+    * `'best-effort'`: all tokens are revoked one after another but failed
+      revocation requests are only logged and the session is invalidated
+      anyway.
+    * `'fire-and-forget'`: the revocation requests are sent with `keepalive`
+      so they complete even if the page is unloaded right away but the session
+      is invalidated without waiting for them.
+
+    @memberof OAuth2PasswordGrantAuthenticator
+    @property tokenRevocationPolicy
+    @type String
+    @default 'best-effort'
+    @public
+  */
+  tokenRevocationPolicy: TokenRevocationPolicy = 'best-effort';
+
+  /**
+    The order in which the tokens are revoked. As servers commonly revoke all
+    access tokens that were issued for a refresh token when that is revoked
+    (see [RFC 7009, section 2.1](https://tools.ietf.org/html/rfc7009#section-2.1)),
+    revoking the refresh token first is more robust; the default revokes the
+    access token first for backwards compatibility.
+
+    @memberof OAuth2PasswordGrantAuthenticator
+    @property tokenRevocationOrder
+    @type Array
+    @default ['access_token', 'refresh_token']
+    @public
+  */
+  tokenRevocationOrder: Array<'access_token' | 'refresh_token'> = ['access_token', 'refresh_token'];
+
+  /**
+    The endpoint on the server that token introspection requests are sent to
+    (see [RFC 7662](https://tools.ietf.org/html/rfc7662)). If this is set, the
+    authenticator asks the server whether the access token is still `active`
+    when restoring the session so that tokens that were revoked on the server
+    do not restore the session. The `scope`, `sub` and `exp` of the
+    introspection response are merged into the session data.
+
+    If the introspection request itself fails, e.g. because of a network
+    error, the session is restored as if no introspection endpoint was
+    configured.
+
+    @memberof OAuth2PasswordGrantAuthenticator
+    @property serverTokenIntrospectionEndpoint
+    @type String
+    @default null
+    @public
+  */
+  serverTokenIntrospectionEndpoint: string | null = null;
+
+  /**
+    The time in milliseconds for which the result of a token introspection
+    request is cached (see
+    {@linkplain OAuth2PasswordGrantAuthenticator.serverTokenIntrospectionEndpoint}),
+    so that restoring the session repeatedly, e.g. when the session data
+    changes in another tab, does not send a request every time. Set this to
+    `0` to disable caching.
+
+    @memberof OAuth2PasswordGrantAuthenticator
+    @property tokenIntrospectionCacheTime
+    @type Integer
+    @default 30000
+    @public
+  */
+  tokenIntrospectionCacheTime = 30000;
+
   /**
     Sets whether the authenticator automatically refreshes access tokens if the
     server supports it.
 
+    As browsers throttle or suspend timers while a tab is in the background or
+    the machine sleeps, the authenticator also checks whether a scheduled
+    refresh is overdue whenever the tab becomes visible, gains focus, goes back
+    online or is restored from the back/forward cache and refreshes the access
+    token right away if it is.
+
     @memberof OAuth2PasswordGrantAuthenticator
     @property refreshAccessTokens
     @type Boolean
@@ -148,11 +423,161 @@ export default class OAuth2PasswordGrantAuthenticator extends BaseAuthenticator
   */
   refreshAccessTokensWithScope = false;
 
+  /**
+    Sets whether the access tokens issued by the server are JWTs (see
+    [RFC 7519](https://tools.ietf.org/html/rfc7519)) whose `exp` and `iat`
+    claims determine when they expire. When enabled, the authenticator decodes
+    the access token if the server response does not include `expires_in` and
+    uses the token's expiration for scheduling refreshes and for checking the
+    token's validity when restoring the session. Malformed tokens are rejected.
+
+    __The token's signature is not verified__ - the token is only decoded in
+    order to read its expiration.
+
+    @memberof OAuth2PasswordGrantAuthenticator
+    @property jwtAccessTokens
+    @type Boolean
+    @default false
+    @public
+  */
+  jwtAccessTokens = false;
+
+  /**
+    Sets whether the server rotates refresh tokens, i.e. issues a new refresh
+    token with every refreshed access token and invalidates the one that was
+    used (see
+    [OAuth 2.0 Security Best Current Practice, section 4.14](https://datatracker.ietf.org/doc/html/draft-ietf-oauth-security-topics#section-4.14)).
+
+    When enabled, the authenticator
+
+    * never falls back to a refresh token that was already used when the
+      server does not include a new one in the response; the access token is
+      then not refreshed again,
+    * triggers the `sessionDataUpdated` event with the new refresh token
+      before scheduling the next refresh so it is persisted in the session
+      store before it is used,
+    * never sends a refresh token that was already rotated to the server
+      again.
+
+    When the server detects that a refresh token was reused, it responds with
+    an `invalid_grant` error which invalidates the session (see
+    {@linkplain OAuth2PasswordGrantAuthenticator.sessionDataInvalidated}).
+
+    @memberof OAuth2PasswordGrantAuthenticator
+    @property refreshTokenRotation
+    @type Boolean
+    @default false
+    @public
+  */
+  refreshTokenRotation = false;
+
+  /**
+    Sets whether token refreshes are coordinated between all tabs and windows
+    of the application. When enabled, only one tab refreshes the access token
+    at a time, holding a lock (using the
+    [Web Locks API](https://developer.mozilla.org/en-US/docs/Web/API/Web_Locks_API)
+    or a lock in `localStorage` where that is not available) while doing so.
+    Once a tab acquired the lock, it checks whether another tab has already
+    refreshed the access token and stored the new tokens in the session store
+    and if so uses those instead of sending another refresh request.
+
+    This is essential when the server rotates refresh tokens (see
+    {@linkplain OAuth2PasswordGrantAuthenticator.refreshTokenRotation}) as tabs
+    racing to refresh with the same refresh token would otherwise trigger the
+    server's reuse detection. Enable it as well when using
+    {@linkplain OAuth2PasswordGrantAuthenticator.memoryOnlyAccessTokens}.
+
+    @memberof OAuth2PasswordGrantAuthenticator
+    @property coordinateTokenRefresh
+    @type Boolean
+    @default false
+    @public
+  */
+  coordinateTokenRefresh = false;
+
+  /**
+    Sets whether the access token is kept in memory only. When enabled, __only
+    the refresh token and the expiry metadata are written to the session
+    store__ so that the access token cannot be read from it. When the session
+    is restored, e.g. after a page reload or in another tab, the authenticator
+    always exchanges the stored refresh token for a new access token, so this
+    requires
+    {@linkplain OAuth2PasswordGrantAuthenticator.refreshAccessTokens} to be
+    enabled and the server to issue refresh tokens.
+
+    When the server rotates refresh tokens, enable
+    {@linkplain OAuth2PasswordGrantAuthenticator.coordinateTokenRefresh}
+    as well so tabs always refresh with the latest refresh token.
+
+    @memberof OAuth2PasswordGrantAuthenticator
+    @property memoryOnlyAccessTokens
+    @type Boolean
+    @default false
+    @public
+  */
+  memoryOnlyAccessTokens = false;
+
+  /**
+    Sets whether access tokens are bound to a key pair using DPoP (see
+    [RFC 9449](https://tools.ietf.org/html/rfc9449)). When enabled, the
+    authenticator generates a key pair with a non-extractable private key that
+    is kept in IndexedDB and sends a `DPoP` proof signed with it along with
+    all requests to the
+    {@linkplain OAuth2PasswordGrantAuthenticator.serverTokenEndpoint}. If the
+    server responds with a `DPoP-Nonce` challenge, the request is retried
+    with that nonce.
+
+    Requests to resource servers need to include a proof as well, see
+    {@linkplain SessionService.getDPoPHeaders}.
+
+    @memberof OAuth2PasswordGrantAuthenticator
+    @property dpop
+    @type Boolean
+    @default false
+    @public
+  */
+  dpop = false;
+
+  /**
+    The number of times a scheduled token refresh is retried when it fails
+    temporarily, e.g. because of a network error or because the server
+    responded with a `5xx` or `429` status. Retries are delayed with
+    exponential backoff (see
+    {@linkplain OAuth2PasswordGrantAuthenticator.tokenRefreshRetryDelay}) and
+    stop once the access token has expired. While the browser is offline, the
+    refresh is retried as soon as it is back online instead. Set this to `0`
+    to disable retries.
+
+    @memberof OAuth2PasswordGrantAuthenticator
+    @property tokenRefreshRetries
+    @type Integer
+    @default 5
+    @public
+  */
+  tokenRefreshRetries = 5;
+
+  /**
+    The base delay in milliseconds before the first retry of a failed token
+    refresh (see
+    {@linkplain OAuth2PasswordGrantAuthenticator.tokenRefreshRetries}). The
+    delay doubles with every further retry and is randomized by up to 50% so
+    that multiple clients do not all retry at the same moment. It never
+    exceeds the access token's remaining lifetime.
+
+    @memberof OAuth2PasswordGrantAuthenticator
+    @property tokenRefreshRetryDelay
+    @type Integer
+    @default 1000
+    @public
+  */
+  tokenRefreshRetryDelay = 1000;
+
   /**
     The offset time in milliseconds to refresh the access token. This must
-    return a random number. This randomization is needed because in case of
-    multiple tabs, we need to prevent the tabs from sending refresh token
-    request at the same exact moment.
+    return a random number. This randomization spreads the refresh requests of
+    multiple tabs so that in most cases one tab has already refreshed the
+    access token when the others' refreshes are due (see
+    {@linkplain OAuth2PasswordGrantAuthenticator.coordinateTokenRefresh}).
 
     When overriding this property, make sure to mark the overridden property
     as volatile so it will actually have a different value each time it is
@@ -172,6 +597,23 @@ export default class OAuth2PasswordGrantAuthenticator extends BaseAuthenticator
   }
 
   _refreshTokenTimeout: Timer | undefined = undefined;
+  _onlineListener: (() => void) | null = null;
+  _scheduledRefresh: {
+    expiresIn: number | undefined;
+    expiresAt: number;
+    refreshToken: string;
+    refreshAt: number;
+  } | null = null;
+  _hasExpiryCheckListeners = false;
+  _pendingRefresh: { refreshToken: string; promise: Promise<unknown> } | null = null;
+  _rotatedRefreshToken: { refreshToken: string; data: OAuthResponseSuccess } | null = null;
+  _tokenIntrospection: {
+    accessToken: string;
+    cachedUntil: number;
+    promise: Promise<OAuthIntrospectionResponse>;
+  } | null = null;
+  _dpopKeyPair: Promise<DPoPKeyPair> | null = null;
+  _dpopNonces: Record<string, string> = {};
 
   /**
     Restores the session from a session data object; __will return a resolving
@@ -185,17 +627,54 @@ export default class OAuth2PasswordGrantAuthenticator extends BaseAuthenticator
     successful. If there is no refresh token or the token refresh is not
     successful, a rejecting promise will be returned.
 
+    If a
+    {@linkplain OAuth2PasswordGrantAuthenticator.serverTokenIntrospectionEndpoint}
+    is configured, the authenticator also checks that the access token is
+    still active and treats it like an expired one otherwise.
+
+    If {@linkplain OAuth2PasswordGrantAuthenticator.memoryOnlyAccessTokens} is
+    enabled, the stored data does not include an access token so the
+    authenticator always refreshes it, unless this tab still holds a valid one
+    in memory, in which case only the stored refresh token is adopted.
+
+    If {@linkplain OAuth2PasswordGrantAuthenticator.dpop} is enabled, the key
+    pair is loaded again as the session might have been authenticated with a
+    new one in another tab.
+
     @memberof OAuth2PasswordGrantAuthenticator
     @method restore
     @param {Object} data The data to restore the session from
-    @return {Promise} A promise that when it resolves results in the session becoming or remaining authenticated. If restoration fails, the promise will reject with the server response (in case the access token had expired and was refreshed using a refresh token); however, the authenticator reads that response already so if you need to read it again you need to clone the response object first
+    @return {Promise} A promise that when it resolves results in the session becoming or remaining authenticated. If restoration fails, the promise will reject with an `OAuth2Error`, with the `invalid_session` code in case the session data cannot be restored at all
     @public
   */
   restore(data: OAuthResponseSuccess) {
+    // another tab might have authenticated the session with a new key pair
+    if (this.get('dpop')) {
+      this._dpopKeyPair = null;
+      this._dpopNonces = {};
+    }
+
+    if (this.get('memoryOnlyAccessTokens')) {
+      return this._restoreWithoutAccessToken(data);
+    }
+
     return new Promise((resolve, reject) => {
       const now = new Date().getTime();
       const refreshAccessTokens = this.get('refreshAccessTokens');
-      if (data['expires_at'] && data['expires_at'] < now) {
+      let expiresAt = data && data['expires_at'];
+      if (this.get('jwtAccessTokens') && this._validate(data)) {
+        const expiration = this._decodeAccessTokenExpiration(data['access_token']);
+        if (!expiration) {
+          return reject(
+            new OAuth2Error('invalid_token', {
+              error_description: 'access_token is not a valid JWT',
+            })
+          );
+        }
+        expiresAt = expiresAt || expiration.expiresAt;
+      }
+
+      if (expiresAt && expiresAt < now) {
         if (refreshAccessTokens) {
           this._refreshAccessToken(
             data['expires_in'],
@@ -203,124 +682,165 @@ export default class OAuth2PasswordGrantAuthenticator extends BaseAuthenticator
             data['scope']
           ).then(resolve, reject);
         } else {
-          reject();
+          reject(
+            new OAuth2Error('invalid_session', {
+              error_description: 'access_token has expired',
+            })
+          );
         }
       } else {
         if (!this._validate(data)) {
-          reject();
-        } else {
-          this._scheduleAccessTokenRefresh(
-            data['expires_in'],
-            data['expires_at'],
-            data['refresh_token']
+          reject(
+            new OAuth2Error('invalid_session', {
+              error_description: 'access_token is missing in session data',
+            })
           );
-          resolve(data);
+        } else {
+          this._introspectSessionData(data).then(introspected => {
+            if (introspected) {
+              this._scheduleAccessTokenRefresh(
+                introspected['expires_in'],
+                introspected['expires_at'] || expiresAt,
+                introspected['refresh_token']
+              );
+              resolve(introspected);
+            } else if (refreshAccessTokens && data['refresh_token']) {
+              this._refreshAccessToken(
+                data['expires_in'],
+                data['refresh_token'],
+                data['scope']
+              ).then(resolve, reject);
+            } else {
+              reject(
+                new OAuth2Error('invalid_token', {
+                  error_description: 'access_token is not active',
+                })
+              );
+            }
+          });
         }
       }
     });
   }
 
   /**
-    Authenticates the session with the specified `identification`, `password`
-    and optional `scope`; issues a `POST` request to the
-    {@linkplain OAuth2PasswordGrantAuthenticator.serverTokenEndpoint}
-    and receives the access token in response (see
-    {@link https://tools.ietf.org/html/rfc6749#section-4.3}).
-
-    If the credentials are valid (and the optionally requested scope is
-    granted) and thus authentication succeeds, a promise that resolves with the
-    server's response is returned, otherwise a promise that rejects with the
-    error as returned by the server is returned.
-
-    If the
-    [server supports it]{@link https://tools.ietf.org/html/rfc6749#section-5.1}, this
-    method also schedules refresh requests for the access token before it
-    expires.
+    Authenticates the session with an arbitrary grant type; issues a `POST`
+    request with the `grant_type`, the optional `scope` and the given `params`
+    to the
+    {@linkplain OAuth2PasswordGrantAuthenticator.serverTokenEndpoint}. The
+    response is handled exactly like the one for
+    {@linkplain OAuth2PasswordGrantAuthenticator.authenticate}, so access
+    tokens obtained with any grant type are refreshed and revoked in the same
+    way.
 
-    The server responses are expected to look as defined in the spec (see
-    http://tools.ietf.org/html/rfc6749#section-5). The response to a successful
-    authentication request should be:
+    This can be used for extension grants like
+    `urn:ietf:params:oauth:grant-type:jwt-bearer`
+    ([RFC 7523](https://tools.ietf.org/html/rfc7523)),
+    `urn:ietf:params:oauth:grant-type:saml2-bearer`
+    ([RFC 7522](https://tools.ietf.org/html/rfc7522)) or
+    `urn:ietf:params:oauth:grant-type:token-exchange`
+    ([RFC 8693](https://tools.ietf.org/html/rfc8693)) as well as custom grant
+    types. Typically an application would override
+    {@linkplain OAuth2PasswordGrantAuthenticator.authenticate} to call this
+    method so it can be used with the session service:
 
-    ```json
-    HTTP/1.1 200 OK
-    Content-Type: application/json;charset=UTF-8
+    ```js
+    // app/authenticators/token-exchange.js
+    import OAuth2PasswordGrant from 'ember-simple-auth/authenticators/oauth2-password-grant';
 
-    {
-      "access_token":"2YotnFZFEjr1zCsicMWpAA",
-      "token_type":"bearer",
-      "expires_in":3600, // optional
-      "refresh_token":"tGzv3JOkF0XG5Qx2TlKWIA" // optional
+    export default class TokenExchangeAuthenticator extends OAuth2PasswordGrant {
+      authenticate(subjectToken, scope) {
+        return this.authenticateWithGrant(
+          'urn:ietf:params:oauth:grant-type:token-exchange',
+          {
+            subject_token: subjectToken,
+            subject_token_type: 'urn:ietf:params:oauth:token-type:access_token',
+          },
+          scope
+        );
+      }
     }
     ```
 
-    The response for a failing authentication request should be:
-
-    ```json
-    HTTP/1.1 400 Bad Request
-    Content-Type: application/json;charset=UTF-8
+    @memberof OAuth2PasswordGrantAuthenticator
+    @method authenticateWithGrant
+    @param {String} grantType The grant type (see [RFC 6749, section 4.5](http://tools.ietf.org/html/rfc6749#section-4.5))
+    @param {Object} params The parameters of the grant to send in the request body
+    @param {String|Array} scope The scope of the access request (see [RFC 6749, section 3.3](http://tools.ietf.org/html/rfc6749#section-3.3))
+    @param {Object} headers Optional headers that particular backends may require
+    @return {Promise} A promise that when it resolves results in the session becoming authenticated. If authentication fails, the promise will reject with an `OAuth2Error`
+    @public
+  */
+  authenticateWithGrant(
+    grantType: string,
+    params: Record<string, string> = {},
+    scope: string | string[] = [],
+    headers: Record<string, string> = {}
+  ) {
+    const data: OAuthGrantRequestData = Object.assign({}, params, { grant_type: grantType });
 
-    {
-      "error":"invalid_grant"
+    const scopesString = makeArray(scope).join(' ');
+    if (scopesString.trim().length > 0) {
+      data.scope = scopesString;
     }
-    ```
 
-    A full list of error codes can be found
-    [here](https://tools.ietf.org/html/rfc6749#section-5.2).
+    return this._requestAccessToken(data, headers);
+  }
+
+  /**
+    Returns the access token from the session data if it remains valid for at
+    least `minValidity` seconds. Otherwise the access token is refreshed first
+    (see [RFC 6749, section 6](http://tools.ietf.org/html/rfc6749#section-6))
+    and the new access token is returned; concurrent calls share a single
+    refresh request. If the access token cannot be refreshed because there is
+    no refresh token, it is returned as long as it has not expired yet.
+
+    This is usually not called directly but via
+    {@linkplain SessionService.getValidAccessToken}.
 
     @memberof OAuth2PasswordGrantAuthenticator
-    @method authenticate
-    @param {String} identification The resource owner username
-    @param {String} password The resource owner password
-    @param {String|Array} scope The scope of the access request (see [RFC 6749, section 3.3](http://tools.ietf.org/html/rfc6749#section-3.3))
-    @param {Object} headers Optional headers that particular backends may require (for example sending 2FA challenge responses)
-    @return {Promise} A promise that when it resolves results in the session becoming authenticated. If authentication fails, the promise will reject with the server response; however, the authenticator reads that response already so if you need to read it again you need to clone the response object first
+    @method getValidAccessToken
+    @param {Object} data The current authenticated session data
+    @param {Number} minValidity The number of seconds the access token must at least remain valid for
+    @return {Promise} A promise that resolves with the access token or rejects if it has expired and could not be refreshed
     @public
   */
-  authenticate(identification: string, password: string, scope = [], headers = {}) {
-    return new Promise((resolve, reject) => {
-      const data: OAuthPasswordRequestData = {
-        grant_type: 'password',
-        username: identification,
-        password,
-      };
-      const serverTokenEndpoint = this.get('serverTokenEndpoint');
-
-      const scopesString = makeArray(scope).join(' ');
-      if (scopesString.trim().length > 0) {
-        data.scope = scopesString;
-      }
-      this.makeRequest(serverTokenEndpoint, data, headers).then(
-        response => {
-          run(() => {
-            if (!this._validate(response)) {
-              reject('access_token is missing in server response');
-            }
+  getValidAccessToken(data: OAuthResponseSuccess, minValidity = 30): Promise<string> {
+    let expiresAt = data['expires_at'];
+    if (!expiresAt && this.get('jwtAccessTokens')) {
+      const expiration = this._decodeAccessTokenExpiration(data['access_token']);
+      expiresAt = expiration ? expiration.expiresAt : undefined;
+    }
 
-            const expiresAt = this._absolutizeExpirationTime(response['expires_in']);
-            this._scheduleAccessTokenRefresh(
-              response['expires_in'],
-              expiresAt,
-              response['refresh_token']
-            );
-            if (expiresAt) {
-              response = Object.assign(response, { expires_at: expiresAt });
-            }
+    const now = new Date().getTime();
+    if (!expiresAt || expiresAt - minValidity * 1000 > now) {
+      return Promise.resolve(data['access_token']);
+    }
 
-            resolve(response);
-          });
-        },
-        response => {
-          run(null, reject, response);
-        }
+    if (data['refresh_token'] && this.get('refreshAccessTokens')) {
+      return this._refreshAccessToken(
+        data['expires_in'],
+        data['refresh_token'],
+        data['scope']
+      ).then(refreshed => (refreshed as OAuthResponseSuccess)['access_token']);
+    } else if (expiresAt > now) {
+      return Promise.resolve(data['access_token']);
+    } else {
+      return Promise.reject(
+        new OAuth2Error('invalid_token', { error_description: 'access_token has expired' })
       );
-    });
+    }
   }
 
   /**
     If token revocation is enabled, this will revoke the access token (and the
-    refresh token if present). If token revocation succeeds, this method
-    returns a resolving promise, otherwise it will return a rejecting promise,
-    thus intercepting session invalidation.
+    refresh token if present) in the
+    {@linkplain OAuth2PasswordGrantAuthenticator.tokenRevocationOrder}. If
+    token revocation fails and the
+    {@linkplain OAuth2PasswordGrantAuthenticator.tokenRevocationPolicy} is
+    `'strict'`, this method returns a rejecting promise, thus intercepting
+    session invalidation; with any other policy it returns a resolving
+    promise.
 
     If token revocation is not enabled this method simply returns a resolving
     promise.
@@ -328,38 +848,149 @@ export default class OAuth2PasswordGrantAuthenticator extends BaseAuthenticator
     @memberof OAuth2PasswordGrantAuthenticator
     @method invalidate
     @param {Object} data The current authenticated session data
-    @return {Promise} A promise that when it resolves results in the session being invalidated. If invalidation fails, the promise will reject with the server response (in case token revocation is used); however, the authenticator reads that response already so if you need to read it again you need to clone the response object first
+    @return {Promise} A promise that when it resolves results in the session being invalidated. If invalidation fails, the promise will reject with an `OAuth2Error` (in case token revocation is used)
     @public
   */
   invalidate(data: OAuthResponseSuccess) {
     const serverTokenRevocationEndpoint = this.get('serverTokenRevocationEndpoint');
     const success = (resolve: (value?: unknown) => void) => {
-      cancel(this._refreshTokenTimeout);
-      delete this._refreshTokenTimeout;
-      resolve();
+      this._cancelAccessTokenRefresh();
+      this._removeExpiryCheckListeners();
+      this._rotatedRefreshToken = null;
+      this._tokenIntrospection = null;
+      if (this.get('dpop')) {
+        this._dpopKeyPair = null;
+        this._dpopNonces = {};
+        // the session is invalidated even if the key pair cannot be deleted
+        deleteKeyPair().then(
+          () => resolve(),
+          () => resolve()
+        );
+      } else {
+        resolve();
+      }
     };
-    return new Promise(resolve => {
+    const policy = this.get('tokenRevocationPolicy');
+    assert(
+      `tokenRevocationPolicy must be one of "strict", "best-effort" or "fire-and-forget", was "${policy}"!`,
+      ['strict', 'best-effort', 'fire-and-forget'].indexOf(policy) !== -1
+    );
+    const tokenTypes = this.get('tokenRevocationOrder').filter(tokenType => data[tokenType]);
+    const revoke = (tokenType: 'access_token' | 'refresh_token', keepalive = false) =>
+      this.makeRequest(
+        serverTokenRevocationEndpoint as string,
+        { token_type_hint: tokenType, token: data[tokenType] as string },
+        {},
+        { keepalive }
+      );
+
+    return new Promise((resolve, reject) => {
       if (!serverTokenRevocationEndpoint) {
         success(resolve);
+      } else if (policy === 'fire-and-forget') {
+        tokenTypes.forEach(tokenType => revoke(tokenType, true).catch(() => {}));
+        success(resolve);
       } else {
-        const requests: Promise<OAuthResponseSuccess>[] = [];
-        (['access_token', 'refresh_token'] as const).forEach(tokenType => {
-          const token = data[tokenType];
-          if (token) {
-            requests.push(
-              this.makeRequest(serverTokenRevocationEndpoint, {
-                token_type_hint: tokenType,
-                token,
-              })
-            );
-          }
-        });
-        const succeed = () => {
-          success.apply(this, [resolve]);
-        };
-        Promise.all(requests).then(succeed, succeed);
+        const failures: unknown[] = [];
+        tokenTypes
+          .reduce(
+            (previous, tokenType) =>
+              previous.then(() => {
+                if (policy === 'strict' && failures.length > 0) {
+                  return;
+                }
+
+                return revoke(tokenType).then(
+                  () => {},
+                  error => {
+                    failures.push(error);
+                  }
+                );
+              }),
+            Promise.resolve()
+          )
+          .then(() => {
+            if (failures.length > 0 && policy === 'strict') {
+              reject(failures[0]);
+            } else {
+              warn(`${failures.length} token(s) could not be revoked.`, failures.length === 0, {
+                id: 'ember-simple-auth.failedOAuth2TokenRevocation',
+              });
+              success(resolve);
+            }
+          });
+      }
+    });
+  }
+
+  /**
+    If {@linkplain OAuth2PasswordGrantAuthenticator.memoryOnlyAccessTokens} is
+    enabled, leaves the access token out of the data that is written to the
+    session store. Its `expires_at` is left out as well as it belongs to the
+    access token of the tab that wrote the data; `expires_in` is kept.
+
+    @memberof OAuth2PasswordGrantAuthenticator
+    @method persistedSessionData
+    @param {Object} data The current authenticated session data
+    @return {Object} The data to write to the session store
+    @public
+  */
+  persistedSessionData(data: OAuthResponseSuccess) {
+    if (!this.get('memoryOnlyAccessTokens')) {
+      return data;
+    }
+
+    const persisted: Partial<OAuthResponseSuccess> = Object.assign({}, data);
+    delete persisted['access_token'];
+    delete persisted['expires_at'];
+
+    return persisted;
+  }
+
+  /**
+    Asks the
+    {@linkplain OAuth2PasswordGrantAuthenticator.serverTokenIntrospectionEndpoint}
+    whether an access token is active (see
+    [RFC 7662, section 2](https://tools.ietf.org/html/rfc7662#section-2)).
+    Responses are cached for
+    {@linkplain OAuth2PasswordGrantAuthenticator.tokenIntrospectionCacheTime}.
+
+    @memberof OAuth2PasswordGrantAuthenticator
+    @method introspectAccessToken
+    @param {String} accessToken The access token to introspect
+    @return {Promise} A promise that resolves with the introspection response or rejects with an `OAuth2Error`
+    @public
+  */
+  introspectAccessToken(accessToken: string): Promise<OAuthIntrospectionResponse> {
+    const serverTokenIntrospectionEndpoint = this.get('serverTokenIntrospectionEndpoint');
+    assert(
+      'introspectAccessToken requires the serverTokenIntrospectionEndpoint to be set!',
+      Boolean(serverTokenIntrospectionEndpoint)
+    );
+
+    const now = new Date().getTime();
+    const cached = this._tokenIntrospection;
+    if (cached && cached.accessToken === accessToken && cached.cachedUntil > now) {
+      return cached.promise;
+    }
+
+    const promise = this.makeRequest(serverTokenIntrospectionEndpoint as string, {
+      token: accessToken,
+      token_type_hint: 'access_token',
+    }).then(response => response as unknown as OAuthIntrospectionResponse);
+    const introspection = {
+      accessToken,
+      cachedUntil: now + this.get('tokenIntrospectionCacheTime'),
+      promise,
+    };
+    this._tokenIntrospection = introspection;
+    promise.catch(() => {
+      if (this._tokenIntrospection === introspection) {
+        this._tokenIntrospection = null;
       }
     });
+
+    return promise;
   }
 
   /**
@@ -370,60 +1001,307 @@ export default class OAuth2PasswordGrantAuthenticator extends BaseAuthenticator
     @param {String} url The request URL
     @param {Object} data The request data
     @param {Object} headers Additional headers to send in request
-    @return {Promise} A promise that resolves with the response object
+    @param {Object} requestOptions Additional options for the request, e.g. `keepalive`
+    @return {Promise} A promise that resolves with the parsed response or rejects with an `OAuth2Error`
     @protected
   */
   @waitFor
   makeRequest(
     url: string,
     data: MakeRequestData,
-    headers: Record<string, string> = {}
+    headers: Record<string, string> = {},
+    requestOptions: { keepalive?: boolean } = {}
   ): Promise<OAuthResponseSuccess> {
     headers['Content-Type'] = 'application/x-www-form-urlencoded';
 
+    return this.authenticateClient(url, data, headers).then(() => {
+      const body = Object.keys(data)
+        .map(key => {
+          const value = data[key as keyof MakeRequestData];
+
+          if (value) {
+            return `${encodeURIComponent(key)}=${encodeURIComponent(value)}`;
+          } else {
+            return null;
+          }
+        })
+        .filter(Boolean)
+        .join('&');
+
+      const options = {
+        ...requestOptions,
+        body,
+        headers,
+        method: 'POST',
+      };
+
+      return new Promise((resolve, reject) => {
+        this._fetch(url, options)
+          .then(response => {
+            response.text().then(text => {
+              let json;
+              try {
+                json = JSON.parse(text);
+              } catch (SyntaxError) {
+                return reject(OAuth2Error.fromResponse(response, undefined, text));
+              }
+              if (!response.ok) {
+                reject(OAuth2Error.fromResponse(response, json));
+              } else {
+                resolve(json);
+              }
+            });
+          })
+          .catch(error =>
+            reject(
+              new OAuth2Error('network_error', { error_description: (error as Error).message })
+            )
+          );
+      });
+    });
+  }
+
+  /**
+    Creates a DPoP proof (see
+    [RFC 9449, section 4](https://tools.ietf.org/html/rfc9449#section-4)) for
+    a request, signed with the authenticator's key pair. The last nonce the
+    request URL's origin provided is included.
+
+    @memberof OAuth2PasswordGrantAuthenticator
+    @method createDPoPProof
+    @param {String} url The request URL
+    @param {String} method The request method
+    @param {String} [accessToken] The access token sent with the request if any
+    @return {Promise} A promise that resolves with the proof
+    @public
+  */
+  createDPoPProof(url: string, method: string, accessToken?: string): Promise<string> {
+    if (!this._dpopKeyPair) {
+      const keyPair = loadKeyPair();
+      this._dpopKeyPair = keyPair;
+      keyPair.catch(() => {
+        if (this._dpopKeyPair === keyPair) {
+          this._dpopKeyPair = null;
+        }
+      });
+    }
+
+    return this._dpopKeyPair.then(keyPair =>
+      createProof(keyPair, {
+        htm: method,
+        htu: url,
+        nonce: this._dpopNonces[nonceOrigin(url)],
+        accessToken,
+      })
+    );
+  }
+
+  /**
+    Builds the `Authorization` and `DPoP` headers for a request to a resource
+    server with an access token that is valid for at least `minValidity`
+    seconds (see
+    {@linkplain OAuth2PasswordGrantAuthenticator.getValidAccessToken}). If the
+    resource server challenged the previous request with a `DPoP-Nonce`, pass
+    that as `nonce`.
+
+    @memberof OAuth2PasswordGrantAuthenticator
+    @method getDPoPHeaders
+    @param {Object} data The current authenticated session data
+    @param {String} url The request URL
+    @param {String} method The request method
+    @param {Object} options `minValidity` and `nonce`
+    @return {Promise} A promise that resolves with the headers
+    @public
+  */
+  getDPoPHeaders(
+    data: OAuthResponseSuccess,
+    url: string,
+    method = 'GET',
+    options: { minValidity?: number; nonce?: string } = {}
+  ): Promise<{ Authorization: string; DPoP: string }> {
+    assert('getDPoPHeaders requires dpop to be enabled!', this.get('dpop'));
+    if (options.nonce) {
+      this._dpopNonces[nonceOrigin(url)] = options.nonce;
+    }
+
+    return this.getValidAccessToken(data, options.minValidity).then(accessToken =>
+      this.createDPoPProof(url, method, accessToken).then(proof => ({
+        Authorization: `DPoP ${accessToken}`,
+        DPoP: proof,
+      }))
+    );
+  }
+
+  /**
+    Adds the client authentication (see
+    {@linkplain OAuth2PasswordGrantAuthenticator.clientAuthentication}) to a
+    request to the OAuth 2.0 server. Override this method to implement other
+    client authentication methods.
+
+    @memberof OAuth2PasswordGrantAuthenticator
+    @method authenticateClient
+    @param {String} url The request URL
+    @param {Object} data The request data that can be modified
+    @param {Object} headers The request headers that can be modified
+    @return {Promise} A promise that resolves once the request data and headers have been modified
+    @protected
+  */
+  authenticateClient(
+    _url: string,
+    data: MakeRequestData,
+    headers: Record<string, string>
+  ): Promise<void> {
+    const method = this.get('clientAuthentication');
     const clientId = this.get('clientId');
+    const clientSecret = this.get('clientSecret');
+    const params = data as Record<string, string | undefined>;
+    assert(
+      `The "${method}" client authentication method requires the "clientId" to be set!`,
+      method === 'none' || Boolean(clientId)
+    );
+
+    if (method === 'client_secret_basic') {
+      assert(
+        'The "client_secret_basic" client authentication method requires the "clientSecret" to be set!',
+        Boolean(clientSecret)
+      );
+      const credentials = `${formEncode(clientId as string)}:${formEncode(clientSecret as string)}`;
+      headers['Authorization'] = `Basic ${btoa(credentials)}`;
+      return Promise.resolve();
+    }
+
     if (clientId) {
-      data.client_id = clientId;
+      params['client_id'] = clientId;
+    }
+    if (method === 'client_secret_post') {
+      assert(
+        'The "client_secret_post" client authentication method requires the "clientSecret" to be set!',
+        Boolean(clientSecret)
+      );
+      params['client_secret'] = clientSecret as string;
+    } else if (method === 'private_key_jwt') {
+      return this._createClientAssertion().then(assertion => {
+        params['client_assertion_type'] = JWT_BEARER_CLIENT_ASSERTION_TYPE;
+        params['client_assertion'] = assertion;
+      });
     }
 
-    const body = Object.keys(data)
-      .map(key => {
-        const value = data[key as keyof MakeRequestData];
+    return Promise.resolve();
+  }
 
-        if (value) {
-          return `${encodeURIComponent(key)}=${encodeURIComponent(value)}`;
-        } else {
-          return null;
-        }
+  _fetch(
+    url: string,
+    options: { headers: Record<string, string>; [key: string]: unknown },
+    retryWithNonce = true
+  ): Promise<Response> {
+    if (!this.get('dpop') || url !== this.get('serverTokenEndpoint')) {
+      return fetch(url, options);
+    }
+
+    const origin = nonceOrigin(url);
+    const nonce = this._dpopNonces[origin];
+    return this.createDPoPProof(url, 'POST')
+      .then(proof => {
+        options.headers['DPoP'] = proof;
+        return fetch(url, options);
       })
-      .filter(Boolean)
-      .join('&');
+      .then(response => {
+        const nextNonce = response.headers.get('DPoP-Nonce');
+        if (nextNonce) {
+          this._dpopNonces[origin] = nextNonce;
+        }
+        // the server requires a (new) nonce, see https://tools.ietf.org/html/rfc9449#section-8
+        if (response.status === 400 && nextNonce && nextNonce !== nonce && retryWithNonce) {
+          return this._fetch(url, options, false);
+        }
 
-    const options = {
-      body,
-      headers,
-      method: 'POST',
+        return response;
+      });
+  }
+
+  _createClientAssertion(): Promise<string> {
+    const key = this.get('clientAssertionKey');
+    assert(
+      'The "private_key_jwt" client authentication method requires the "clientAssertionKey" to be set!',
+      Boolean(key)
+    );
+
+    const clientId = this.get('clientId') as string;
+    const now = Math.floor(new Date().getTime() / 1000);
+    const header: { alg: string; typ: string; kid?: string } = {
+      alg: this.get('clientAssertionAlgorithm'),
+      typ: 'JWT',
     };
+    const keyId = this.get('clientAssertionKeyId');
+    if (keyId) {
+      header.kid = keyId;
+    }
 
-    return new Promise((resolve, reject) => {
-      fetch(url, options)
-        .then(response => {
-          response.text().then(text => {
-            try {
-              let json = JSON.parse(text);
-              if (!response.ok) {
-                (response as OAuth2Response).responseJSON = json;
-                reject(response);
-              } else {
-                resolve(json);
-              }
-            } catch (SyntaxError) {
-              (response as OAuth2Response).responseText = text;
-              reject(response);
+    return signJwt(
+      header,
+      {
+        iss: clientId,
+        sub: clientId,
+        aud: this._clientAssertionAudience(),
+        jti: generateRandomString(32),
+        iat: now,
+        exp: now + 60,
+      },
+      key as SigningKey
+    );
+  }
+
+  _clientAssertionAudience(): string {
+    const audience = this.get('clientAssertionAudience');
+    const serverTokenEndpoint = this.get('serverTokenEndpoint');
+    if (audience) {
+      return audience;
+    } else if (typeof window !== 'undefined' && window.location) {
+      return new URL(serverTokenEndpoint, window.location.href).href;
+    } else {
+      return serverTokenEndpoint;
+    }
+  }
+
+  _requestAccessToken(data: MakeRequestData, headers: Record<string, string> = {}) {
+    return new Promise<OAuthResponseSuccess>((resolve, reject) => {
+      const serverTokenEndpoint = this.get('serverTokenEndpoint');
+      this.makeRequest(serverTokenEndpoint, data, headers).then(
+        response => {
+          run(() => {
+            if (!this._validate(response)) {
+              return reject(
+                new OAuth2Error('invalid_response', {
+                  error_description: 'access_token is missing in server response',
+                })
+              );
+            }
+
+            const expiration = this._accessTokenExpiration(response);
+            if (!expiration) {
+              return reject(
+                new OAuth2Error('invalid_response', {
+                  error_description: 'access_token is not a valid JWT',
+                })
+              );
+            }
+
+            const { expiresIn, expiresAt } = expiration;
+            this._scheduleAccessTokenRefresh(expiresIn, expiresAt, response['refresh_token']);
+            if (expiresIn && !response['expires_in']) {
+              response = Object.assign(response, { expires_in: expiresIn });
+            }
+            if (expiresAt) {
+              response = Object.assign(response, { expires_at: expiresAt });
             }
+
+            resolve(response);
           });
-        })
-        .catch(reject);
+        },
+        response => {
+          run(null, reject, response);
+        }
+      );
     });
   }
 
@@ -440,21 +1318,198 @@ export default class OAuth2PasswordGrantAuthenticator extends BaseAuthenticator
       }
       const offset = this.get('tokenRefreshOffset');
       if (refreshToken && expiresAt && expiresAt > now - offset) {
-        cancel(this._refreshTokenTimeout);
-        delete this._refreshTokenTimeout;
+        this._cancelAccessTokenRefresh();
+        const refreshAt = expiresAt - offset;
+        this._scheduledRefresh = { expiresIn, expiresAt, refreshToken, refreshAt };
+        this._addExpiryCheckListeners();
         if (!isTesting()) {
           this._refreshTokenTimeout = later(
-            () => {
-              this._refreshAccessToken(expiresIn, refreshToken);
-            },
-            (expiresAt as number) - now - offset
+            () => this._performScheduledAccessTokenRefresh(),
+            refreshAt - now
           );
         }
       }
     }
   }
 
-  _refreshAccessToken(expiresIn: number | undefined, refreshToken: string, scope?: string) {
+  _performScheduledAccessTokenRefresh() {
+    const scheduledRefresh = this._scheduledRefresh;
+    if (scheduledRefresh) {
+      this._cancelAccessTokenRefresh();
+      const { expiresIn, expiresAt, refreshToken } = scheduledRefresh;
+      // failures are reported via the sessionDataInvalidated and
+      // tokenRefreshFailed events already
+      this._refreshAccessTokenWithRetries(expiresIn, expiresAt, refreshToken).catch(() => {});
+    }
+  }
+
+  _cancelAccessTokenRefresh() {
+    cancel(this._refreshTokenTimeout);
+    delete this._refreshTokenTimeout;
+    this._scheduledRefresh = null;
+    this._removeOnlineListener();
+  }
+
+  // timers are throttled or suspended while the tab is in the background or
+  // the machine sleeps so the scheduled refresh might be overdue
+  _checkAccessTokenExpiry = () => {
+    if (typeof document !== 'undefined' && document.visibilityState === 'hidden') {
+      return;
+    }
+
+    const scheduledRefresh = this._scheduledRefresh;
+    if (scheduledRefresh && new Date().getTime() >= scheduledRefresh.refreshAt) {
+      this._performScheduledAccessTokenRefresh();
+    }
+  };
+
+  _addExpiryCheckListeners() {
+    if (!this._hasExpiryCheckListeners && !isTesting() && typeof window !== 'undefined') {
+      document.addEventListener('visibilitychange', this._checkAccessTokenExpiry);
+      window.addEventListener('focus', this._checkAccessTokenExpiry);
+      window.addEventListener('online', this._checkAccessTokenExpiry);
+      window.addEventListener('pageshow', this._checkAccessTokenExpiry);
+      this._hasExpiryCheckListeners = true;
+    }
+  }
+
+  _removeExpiryCheckListeners() {
+    if (this._hasExpiryCheckListeners) {
+      document.removeEventListener('visibilitychange', this._checkAccessTokenExpiry);
+      window.removeEventListener('focus', this._checkAccessTokenExpiry);
+      window.removeEventListener('online', this._checkAccessTokenExpiry);
+      window.removeEventListener('pageshow', this._checkAccessTokenExpiry);
+      this._hasExpiryCheckListeners = false;
+    }
+  }
+
+  _refreshAccessTokenWithRetries(
+    expiresIn: number | undefined,
+    expiresAt: number | null | undefined,
+    refreshToken: string,
+    attempt = 0
+  ): Promise<unknown> {
+    return this._refreshAccessToken(expiresIn, refreshToken).catch(reason => {
+      if (!this._isTransientRefreshFailure(reason)) {
+        return Promise.reject(reason);
+      }
+
+      return new Promise((resolve, reject) => {
+        const retry = (attempt: number) => {
+          this._removeOnlineListener();
+          this._refreshAccessTokenWithRetries(expiresIn, expiresAt, refreshToken, attempt).then(
+            resolve,
+            reject
+          );
+        };
+
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+          this._onlineListener = () => retry(0);
+          window.addEventListener('online', this._onlineListener);
+          return;
+        }
+
+        const delay = this._tokenRefreshRetryDelay(attempt, expiresAt);
+        if (delay === null) {
+          reject(reason);
+        } else {
+          cancel(this._refreshTokenTimeout);
+          this._refreshTokenTimeout = later(() => retry(attempt + 1), delay);
+        }
+      });
+    });
+  }
+
+  _tokenRefreshRetryDelay(attempt: number, expiresAt: number | null | undefined): number | null {
+    if (attempt >= this.get('tokenRefreshRetries')) {
+      return null;
+    }
+
+    const backoff = this.get('tokenRefreshRetryDelay') * Math.pow(2, attempt);
+    const delay = backoff / 2 + (Math.random() * backoff) / 2;
+    if (expiresAt) {
+      const remainingLifetime = expiresAt - new Date().getTime();
+      return remainingLifetime > 0 ? Math.min(delay, remainingLifetime) : null;
+    }
+
+    return delay;
+  }
+
+  _isTransientRefreshFailure(reason: unknown): boolean {
+    return reason instanceof OAuth2Error && reason.retryable;
+  }
+
+  _removeOnlineListener() {
+    if (this._onlineListener) {
+      window.removeEventListener('online', this._onlineListener);
+      this._onlineListener = null;
+    }
+  }
+
+  _refreshAccessToken(
+    expiresIn: number | undefined,
+    refreshToken: string,
+    scope?: string
+  ): Promise<unknown> {
+    const refreshTokenRotation = this.get('refreshTokenRotation');
+    const pending = this._pendingRefresh;
+    if (pending && pending.refreshToken === refreshToken) {
+      return pending.promise;
+    }
+
+    if (refreshTokenRotation) {
+      // a rotated refresh token must never be sent to the server again
+      const rotated = this._rotatedRefreshToken;
+      if (rotated && rotated.refreshToken === refreshToken) {
+        const { expires_at: expiresAt, refresh_token: nextRefreshToken } = rotated.data;
+        if (expiresAt && expiresAt < new Date().getTime() && nextRefreshToken) {
+          return this._refreshAccessToken(rotated.data['expires_in'], nextRefreshToken, scope);
+        }
+        return Promise.resolve(rotated.data);
+      }
+    }
+
+    const refresh = () => this._requestRefreshedAccessToken(expiresIn, refreshToken, scope);
+    let promise;
+    if (!this.get('coordinateTokenRefresh')) {
+      promise = refresh();
+    } else if (this.get('memoryOnlyAccessTokens')) {
+      // there is no access token to adopt from the store but another tab might
+      // have rotated the refresh token while this one was waiting for the lock
+      promise = withLock(TOKEN_REFRESH_LOCK_NAME, () =>
+        this._readStoredSessionData().then(stored =>
+          this._requestRefreshedAccessToken(
+            expiresIn,
+            stored['refresh_token'] || refreshToken,
+            scope
+          )
+        )
+      );
+    } else {
+      promise = withLock(TOKEN_REFRESH_LOCK_NAME, () =>
+        this._readRefreshedSessionData().then(refreshed =>
+          refreshed ? this._adoptRefreshedSessionData(refreshToken, refreshed) : refresh()
+        )
+      );
+    }
+
+    this._pendingRefresh = { refreshToken, promise };
+    const clearPendingRefresh = () => {
+      if (this._pendingRefresh && this._pendingRefresh.promise === promise) {
+        this._pendingRefresh = null;
+      }
+    };
+    promise.then(clearPendingRefresh, clearPendingRefresh);
+
+    return promise;
+  }
+
+  _requestRefreshedAccessToken(
+    expiresIn: number | undefined,
+    refreshToken: string,
+    scope?: string
+  ): Promise<unknown> {
+    const refreshTokenRotation = this.get('refreshTokenRotation');
     const data: OAuthRefreshRequestData = {
       grant_type: 'refresh_token',
       refresh_token: refreshToken,
@@ -467,38 +1522,248 @@ export default class OAuth2PasswordGrantAuthenticator extends BaseAuthenticator
 
     const serverTokenEndpoint = this.get('serverTokenEndpoint');
     return new Promise((resolve, reject) => {
-      this.makeRequest(serverTokenEndpoint, data).then(
-        response => {
-          run(() => {
-            expiresIn = response['expires_in'] || expiresIn;
-            refreshToken = response['refresh_token'] || refreshToken;
-            scope = response['scope'] || scope;
-            const expiresAt = this._absolutizeExpirationTime(expiresIn);
-            const data = Object.assign(response, {
-              expires_in: expiresIn,
-              expires_at: expiresAt,
-              refresh_token: refreshToken,
+      this.makeRequest(serverTokenEndpoint, data)
+        .then(response => this._processRefreshResponse(response))
+        .then(
+          response => {
+            run(() => {
+              const expiration = this._accessTokenExpiration(response);
+              if (!expiration) {
+                return reject(
+                  new OAuth2Error('invalid_response', {
+                    error_description: 'access_token is not a valid JWT',
+                  })
+                );
+              }
+
+              expiresIn = expiration.expiresIn || expiresIn;
+              scope = response['scope'] || scope;
+              const expiresAt = expiration.expiresAt || this._absolutizeExpirationTime(expiresIn);
+              const data = Object.assign(response, {
+                expires_in: expiresIn,
+                expires_at: expiresAt,
+              });
+              if (!data['refresh_token']) {
+                if (refreshTokenRotation) {
+                  warn(
+                    'The server did not issue a new refresh token - the access token will not be refreshed again.',
+                    false,
+                    { id: 'ember-simple-auth.missingRotatedRefreshToken' }
+                  );
+                } else {
+                  data['refresh_token'] = refreshToken;
+                }
+              }
+              if (refreshAccessTokensWithScope && scope) {
+                data.scope = scope;
+              }
+              if (refreshTokenRotation) {
+                this._rotatedRefreshToken = { refreshToken, data };
+              }
+              this.trigger('sessionDataUpdated', data);
+              this._scheduleAccessTokenRefresh(expiresIn, expiresAt, data['refresh_token']);
+              resolve(data);
             });
-            if (refreshAccessTokensWithScope && scope) {
-              data.scope = scope;
-            }
-            this._scheduleAccessTokenRefresh(expiresIn, null, refreshToken);
-            this.trigger('sessionDataUpdated', data);
-            resolve(data);
-          });
+          },
+          error => reject(this._handleRefreshFailure(error))
+        );
+    });
+  }
+
+  _handleRefreshFailure(error: unknown): OAuth2Error {
+    const reason = this._refreshFailureReason(error);
+    if (reason.error === 'invalid_grant' || reason.status === 401) {
+      this._cancelAccessTokenRefresh();
+      this._removeExpiryCheckListeners();
+      this.trigger('sessionDataInvalidated', reason);
+    } else {
+      warn(
+        `Access token could not be refreshed - ${reason.error}${reason.status ? ` (${reason.status})` : ''}.`,
+        false,
+        { id: 'ember-simple-auth.failedOAuth2TokenRefresh' }
+      );
+      this.trigger('tokenRefreshFailed', reason);
+    }
+
+    return reason;
+  }
+
+  _readRefreshedSessionData(): Promise<OAuthResponseSuccess | null> {
+    const current = this._currentSessionData();
+
+    return this._readStoredSessionData().then(stored => {
+      const now = new Date().getTime();
+      // another tab refreshed the access token while this one was waiting for the lock
+      if (
+        this._isRefreshedSessionData(stored, current) &&
+        stored['expires_at'] &&
+        stored['expires_at'] > now
+      ) {
+        return stored;
+      }
+
+      return null;
+    });
+  }
+
+  _readStoredSessionData(): Promise<OAuthResponseSuccess> {
+    const session = this._lookupSession();
+    if (!session) {
+      return Promise.resolve({} as OAuthResponseSuccess);
+    }
+
+    return session
+      .get('store')
+      .restore()
+      .then(
+        (content: { authenticated?: OAuthResponseSuccess & { authenticator?: string } }) => {
+          const stored = Object.assign({}, content && content.authenticated);
+          delete stored['authenticator'];
+
+          return stored;
         },
-        response => {
-          warn(
-            `Access token could not be refreshed - server responded with ${response.responseJSON}.`,
-            false,
-            { id: 'ember-simple-auth.failedOAuth2TokenRefresh' }
-          );
-          reject();
-        }
+        () => ({})
+      );
+  }
+
+  _currentSessionData(): OAuthResponseSuccess {
+    const session = this._lookupSession();
+
+    return (session && session.get('content.authenticated')) || {};
+  }
+
+  // authenticators that are not looked up from the container (e.g. in tests)
+  // have no owner and thus no session to coordinate with
+  _lookupSession(): any {
+    const owner = getOwner(this) as any;
+
+    return owner ? owner.lookup('session:main') : null;
+  }
+
+  _restoreWithoutAccessToken(data: OAuthResponseSuccess): Promise<unknown> {
+    const refreshToken = data && data['refresh_token'];
+    if (!refreshToken || !this.get('refreshAccessTokens')) {
+      return Promise.reject(
+        new OAuth2Error('invalid_session', {
+          error_description: 'access_token cannot be refreshed without a refresh_token',
+        })
       );
+    }
+
+    const current = this._currentSessionData();
+    const now = new Date().getTime();
+    // another tab refreshed and stored a new refresh token while this one still
+    // holds a valid access token; only adopt the refresh token so this tab does
+    // not refresh (and store data) in turn
+    if (current['access_token'] && current['expires_at'] && current['expires_at'] > now) {
+      const restored = Object.assign({}, current, { refresh_token: refreshToken });
+      delete (restored as { authenticator?: string })['authenticator'];
+      this._scheduleAccessTokenRefresh(
+        restored['expires_in'],
+        restored['expires_at'],
+        refreshToken
+      );
+
+      return Promise.resolve(restored);
+    }
+
+    return this._refreshAccessToken(data['expires_in'], refreshToken, data['scope']);
+  }
+
+  _isRefreshedSessionData(stored: OAuthResponseSuccess, current: OAuthResponseSuccess): boolean {
+    return Boolean(stored['access_token']) && stored['access_token'] !== current['access_token'];
+  }
+
+  _adoptRefreshedSessionData(refreshToken: string, data: OAuthResponseSuccess) {
+    if (this.get('refreshTokenRotation')) {
+      this._rotatedRefreshToken = { refreshToken, data };
+    }
+    this.trigger('sessionDataUpdated', data);
+    this._scheduleAccessTokenRefresh(data['expires_in'], data['expires_at'], data['refresh_token']);
+
+    return data;
+  }
+
+  _introspectSessionData(data: OAuthResponseSuccess): Promise<OAuthResponseSuccess | null> {
+    if (!this.get('serverTokenIntrospectionEndpoint')) {
+      return Promise.resolve(data);
+    }
+
+    return this.introspectAccessToken(data['access_token']).then(
+      introspection => {
+        if (!introspection.active) {
+          return null;
+        }
+
+        const introspected = Object.assign({}, data);
+        if (introspection.scope) {
+          introspected.scope = introspection.scope;
+        }
+        if (introspection.sub) {
+          introspected.sub = introspection.sub;
+        }
+        if (introspection.exp) {
+          introspected.expires_at = introspection.exp * 1000;
+        }
+
+        return introspected;
+      },
+      error => {
+        warn(`Access token could not be introspected - ${(error as OAuth2Error).error}.`, false, {
+          id: 'ember-simple-auth.failedOAuth2TokenIntrospection',
+        });
+
+        return data;
+      }
+    );
+  }
+
+  _refreshFailureReason(error: unknown): OAuth2Error {
+    if (error instanceof OAuth2Error) {
+      return error;
+    }
+
+    return new OAuth2Error('invalid_response', {
+      error_description: error instanceof Error ? error.message : String(error),
     });
   }
 
+  _processRefreshResponse(response: OAuthResponseSuccess): Promise<OAuthResponseSuccess> {
+    return Promise.resolve(response);
+  }
+
+  _accessTokenExpiration(
+    response: OAuthResponseSuccess
+  ): { expiresIn?: number; expiresAt?: number } | null {
+    if (!response['expires_in'] && this.get('jwtAccessTokens')) {
+      return this._decodeAccessTokenExpiration(response['access_token']);
+    }
+
+    return {
+      expiresIn: response['expires_in'],
+      expiresAt: this._absolutizeExpirationTime(response['expires_in']),
+    };
+  }
+
+  _decodeAccessTokenExpiration(
+    accessToken: string
+  ): { expiresIn?: number; expiresAt?: number } | null {
+    let claims;
+    try {
+      claims = decodeJwt(accessToken).payload;
+    } catch (_error) {
+      return null;
+    }
+
+    if (typeof claims.exp !== 'number') {
+      return {};
+    }
+
+    const issuedAt =
+      typeof claims.iat === 'number' ? claims.iat : Math.floor(new Date().getTime() / 1000);
+    return { expiresIn: claims.exp - issuedAt, expiresAt: claims.exp * 1000 };
+  }
+
   _absolutizeExpirationTime(expiresIn: number | undefined) {
     if (expiresIn) {
       return new Date(new Date().getTime() + expiresIn * 1000).getTime();
@@ -509,3 +1774,95 @@ export default class OAuth2PasswordGrantAuthenticator extends BaseAuthenticator
     return Boolean(data['access_token']);
   }
 }
+
+/**
+  Authenticator that conforms to OAuth 2
+  ([RFC 6749](http://tools.ietf.org/html/rfc6749)), specifically the _"Resource
+  Owner Password Credentials Grant Type"_.
+
+  This authenticator also automatically refreshes access tokens (see
+  [RFC 6749, section 6](http://tools.ietf.org/html/rfc6749#section-6)) if the
+  server supports it.
+
+  @class OAuth2PasswordGrantAuthenticator
+  @extends OAuth2Authenticator
+  @public
+*/
+export default class OAuth2PasswordGrantAuthenticator extends OAuth2Authenticator {
+  /**
+    Authenticates the session with the specified `identification`, `password`
+    and optional `scope`; issues a `POST` request to the
+    {@linkplain OAuth2PasswordGrantAuthenticator.serverTokenEndpoint}
+    and receives the access token in response (see
+    {@link https://tools.ietf.org/html/rfc6749#section-4.3}).
+
+    If the credentials are valid (and the optionally requested scope is
+    granted) and thus authentication succeeds, a promise that resolves with the
+    server's response is returned, otherwise a promise that rejects with an
+    {@linkplain OAuth2Error} carrying the error as returned by the server is
+    returned.
+
+    If the
+    [server supports it]{@link https://tools.ietf.org/html/rfc6749#section-5.1}, this
+    method also schedules refresh requests for the access token before it
+    expires.
+
+    The server responses are expected to look as defined in the spec (see
+    http://tools.ietf.org/html/rfc6749#section-5). The response to a successful
+    authentication request should be:
+
+    ```json
+    HTTP/1.1 200 OK
+    Content-Type: application/json;charset=UTF-8
+
+    {
+      "access_token":"2YotnFZFEjr1zCsicMWpAA",
+      "token_type":"bearer",
+      "expires_in":3600, // optional
+      "refresh_token":"tGzv3JOkF0XG5Qx2TlKWIA" // optional
+    }
+    ```
+
+    The response for a failing authentication request should be:
+
+    ```json
+    HTTP/1.1 400 Bad Request
+    Content-Type: application/json;charset=UTF-8
+
+    {
+      "error":"invalid_grant"
+    }
+    ```
+
+    A full list of error codes can be found
+    [here](https://tools.ietf.org/html/rfc6749#section-5.2).
+
+    @memberof OAuth2PasswordGrantAuthenticator
+    @method authenticate
+    @param {String} identification The resource owner username
+    @param {String} password The resource owner password
+    @param {String|Array} scope The scope of the access request (see [RFC 6749, section 3.3](http://tools.ietf.org/html/rfc6749#section-3.3))
+    @param {Object} headers Optional headers that particular backends may require (for example sending 2FA challenge responses)
+    @param {Object} params Optional additional parameters to send in the request body (for example an `otp`)
+    @return {Promise} A promise that when it resolves results in the session becoming authenticated. If authentication fails, the promise will reject with an `OAuth2Error`
+    @public
+  */
+  authenticate(
+    identification: string,
+    password: string,
+    scope: string | string[] = [],
+    headers: Record<string, string> = {},
+    params: Record<string, string> = {}
+  ) {
+    return this.authenticateWithGrant(
+      'password',
+      Object.assign({}, params, { username: identification, password }),
+      scope,
+      headers
+    );
+  }
+}
+
+function formEncode(value: string): string {
+  return encodeURIComponent(value).replace(/%20/g, '+');
+}
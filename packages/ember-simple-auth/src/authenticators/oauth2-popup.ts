@@ -0,0 +1,230 @@
+import { makeArray } from '@ember/array';
+import { assert } from '@ember/debug';
+import { run } from '@ember/runloop';
+import BaseAuthenticator from './base';
+import { parseResponse } from './oauth2-implicit-grant';
+import { generateRandomString } from '../-internals/crypto';
+import { toAuthorizationUrl } from '../-internals/authorization-request';
+import { authorizeInPopup } from '../-internals/authorization-response';
+import { OAuth2Error } from '../errors';
+
+export type PopupAuthorizationData = Record<string, string>;
+
+/**
+  Authenticator that runs an OAuth 2.0 authorization request (see
+  [RFC 6749, section 4.1.1](https://tools.ietf.org/html/rfc6749#section-4.1.1))
+  in a popup window so the application does not have to be reloaded, e.g. for
+  social login buttons. This replaces the deprecated
+  {@linkplain ToriiAuthenticator} without requiring any additional
+  dependencies.
+
+  ```js
+  // app/authenticators/github.js
+  import OAuth2PopupAuthenticator from 'ember-simple-auth/authenticators/oauth2-popup';
+
+  export default class GitHubAuthenticator extends OAuth2PopupAuthenticator {
+    serverAuthorizationEndpoint = 'https://github.com/login/oauth/authorize';
+    clientId = 'my-client-id';
+    redirectUri = 'https://app.example.com/popup-callback.html';
+  }
+  ```
+
+  The authorization server redirects the popup to the
+  {@linkplain OAuth2PopupAuthenticator.redirectUri}, a small page that needs
+  to post its URL back to the application:
+
+  ```html
+  <!-- public/popup-callback.html -->
+  <script>
+    window.opener.postMessage(
+      { type: 'ember-simple-auth:authorization-response', url: window.location.href },
+      window.location.origin
+    );
+  </script>
+  ```
+
+  __The session must be authenticated synchronously in response to a user
+  interaction__ like a click as the browser blocks the popup otherwise:
+
+  ```js
+  // app/components/github-login-button.js
+  import Component from '@glimmer/component';
+  import { service } from '@ember/service';
+  import { action } from '@ember/object';
+
+  export default class GitHubLoginButtonComponent extends Component {
+    &#64;service session;
+
+    &#64;action
+    login() {
+      this.session.authenticate('authenticator:github', ['read:user']);
+    }
+  }
+  ```
+
+  The session is authenticated with the parameters of the authorization
+  response, e.g. the `code`. Override
+  {@linkplain OAuth2PopupAuthenticator.authenticate} to exchange that with the
+  application's server.
+
+  @class OAuth2PopupAuthenticator
+  @extends BaseAuthenticator
+  @public
+*/
+export default class OAuth2PopupAuthenticator extends BaseAuthenticator {
+  /**
+    The authorization server's endpoint that is opened in the popup window.
+
+    @memberof OAuth2PopupAuthenticator
+    @property serverAuthorizationEndpoint
+    @type String
+    @default '/authorize'
+    @public
+  */
+  serverAuthorizationEndpoint = '/authorize';
+
+  /**
+    The client_id to be sent to the authorization server.
+
+    @memberof OAuth2PopupAuthenticator
+    @property clientId
+    @type String
+    @default null
+    @public
+  */
+  clientId: string | null = null;
+
+  /**
+    The URI of the page the authorization server redirects the popup window
+    to. It needs to be on the same origin as the application.
+
+    @memberof OAuth2PopupAuthenticator
+    @property redirectUri
+    @type String
+    @default null
+    @public
+  */
+  redirectUri: string | null = null;
+
+  /**
+    The `response_type` of the authorization request (see
+    [RFC 6749, section 3.1.1](https://tools.ietf.org/html/rfc6749#section-3.1.1)).
+
+    @memberof OAuth2PopupAuthenticator
+    @property responseType
+    @type String
+    @default 'code'
+    @public
+  */
+  responseType = 'code';
+
+  /**
+    The features the popup window is opened with (see
+    [`window.open`](https://developer.mozilla.org/en-US/docs/Web/API/Window/open#windowfeatures)).
+
+    @memberof OAuth2PopupAuthenticator
+    @property popupFeatures
+    @type String
+    @default 'popup,width=600,height=700'
+    @public
+  */
+  popupFeatures = 'popup,width=600,height=700';
+
+  /**
+    Restores the session from a session data object; __will return a resolving
+    promise when the data is not empty__ and a rejecting promise otherwise.
+
+    @memberof OAuth2PopupAuthenticator
+    @method restore
+    @param {Object} data The data to restore the session from
+    @return {Promise} A promise that when it resolves results in the session becoming or remaining authenticated
+    @public
+  */
+  restore(data: PopupAuthorizationData) {
+    return data && Object.keys(data).length > 0 ? Promise.resolve(data) : Promise.reject();
+  }
+
+  /**
+    Opens the authorization request in a popup window and waits for the
+    authorization server's response. The `state` of the response is checked
+    against the one sent with the request.
+
+    __If authorization succeeds, a promise that resolves with the parameters
+    of the response__ (without the `state`) is returned. Otherwise the promise
+    rejects with an `OAuth2Error`: with the error the authorization server
+    responded with, `invalid_state` if the `state` does not match,
+    `popup_blocked` if the browser blocked the popup window or
+    `popup_closed` if the user closed it before authorization completed.
+
+    @memberof OAuth2PopupAuthenticator
+    @method authenticate
+    @param {String|Array} scope The scope of the access request (see [RFC 6749, section 3.3](http://tools.ietf.org/html/rfc6749#section-3.3))
+    @param {Object} params Additional query parameters to send to the authorization server; these cannot override the `response_type`, `redirect_uri` or `state`
+    @return {Promise} A promise that when it resolves results in the session becoming authenticated. If authentication fails, the promise will reject with an `OAuth2Error`
+    @public
+  */
+  authenticate(scope: string | string[] = [], params: Record<string, string> = {}) {
+    const redirectUri = this.get('redirectUri');
+    assert('OAuth2PopupAuthenticator requires the redirectUri to be set!', Boolean(redirectUri));
+
+    const state = generateRandomString(32);
+    const query: Record<string, string> = {};
+    const clientId = this.get('clientId');
+    if (clientId) {
+      query['client_id'] = clientId;
+    }
+    const scopesString = makeArray(scope).join(' ');
+    if (scopesString.trim().length > 0) {
+      query['scope'] = scopesString;
+    }
+    // the parameters the response is received and validated with cannot be
+    // overridden
+    Object.assign(query, params, {
+      response_type: this.get('responseType'),
+      redirect_uri: redirectUri as string,
+      state,
+    });
+
+    const url = toAuthorizationUrl(this.get('serverAuthorizationEndpoint'), query);
+
+    return new Promise<PopupAuthorizationData>((resolve, reject) => {
+      // the popup must be opened synchronously
+      this._openPopup(url, redirectUri as string)
+        .then(responseUrl => {
+          const data = parseResponse(responseUrl);
+          if (data['error']) {
+            return Promise.reject(OAuth2Error.fromParams(data));
+          } else if (data['state'] !== state) {
+            return Promise.reject(
+              new OAuth2Error('invalid_state', {
+                error_description: 'Invalid auth params - "state" does not match.',
+              })
+            );
+          }
+
+          delete data['state'];
+          return data;
+        })
+        .then(
+          data => run(null, resolve, data),
+          error => run(null, reject, error)
+        );
+    });
+  }
+
+  /**
+    This method simply returns a resolving promise.
+
+    @memberof OAuth2PopupAuthenticator
+    @method invalidate
+    @return {Promise} A promise that when it resolves results in the session being invalidated
+    @public
+  */
+  invalidate() {
+    return Promise.resolve();
+  }
+
+  _openPopup(url: string, redirectUri: string): Promise<string> {
+    return authorizeInPopup(url, redirectUri, this.get('popupFeatures'));
+  }
+}
@@ -0,0 +1,361 @@
+import { makeArray } from '@ember/array';
+import { assert } from '@ember/debug';
+import { waitFor } from '@ember/test-waiters';
+import OAuth2AuthorizationCodeAuthenticator, {
+  type AuthorizationRequest,
+} from './oauth2-authorization-code';
+import { type OAuthResponseSuccess } from './oauth2-password-grant';
+import { generateRandomString } from '../-internals/crypto';
+import {
+  decodeJwt,
+  isKeyForAlgorithm,
+  isSupportedAlgorithm,
+  verifyJwtSignature,
+  type DecodedJwt,
+  type Jwk,
+  type JwtPayload,
+} from '../-internals/jwt';
+import { OAuth2Error } from '../errors';
+
+export type OpenIdConfiguration = {
+  issuer: string;
+  authorization_endpoint: string;
+  token_endpoint: string;
+  jwks_uri: string;
+  revocation_endpoint?: string;
+  [key: string]: unknown;
+};
+
+export type OpenIdResponseSuccess = OAuthResponseSuccess & {
+  id_token?: string;
+  claims?: JwtPayload;
+};
+
+type JsonWebKeySet = {
+  keys: Jwk[];
+};
+
+/**
+  Authenticator that implements
+  [OpenID Connect](https://openid.net/specs/openid-connect-core-1_0.html) on top
+  of the {@linkplain OAuth2AuthorizationCodeAuthenticator}.
+
+  The authorization and token endpoints are read from the
+  {@linkplain OpenIdConnectAuthenticator.issuer}'s
+  [discovery document](https://openid.net/specs/openid-connect-discovery-1_0.html).
+  The `id_token` the provider responds with is validated as described in
+  [section 3.1.3.7](https://openid.net/specs/openid-connect-core-1_0.html#IDTokenValidation)
+  of the spec: its signature is verified with the provider's published keys
+  using WebCrypto and the `iss`, `aud`, `exp` and `nonce` claims are checked.
+  The verified claims are available as `claims` in the session's
+  `data.authenticated`.
+
+  ```js
+  // app/authenticators/oidc.js
+  import OpenIdConnect from 'ember-simple-auth/authenticators/openid-connect';
+
+  export default class OidcAuthenticator extends OpenIdConnect {
+    issuer = 'https://accounts.example.com';
+    clientId = 'my-app';
+    redirectUri = 'https://app.example.com/callback';
+  }
+  ```
+
+  @class OpenIdConnectAuthenticator
+  @extends OAuth2AuthorizationCodeAuthenticator
+  @public
+*/
+export default class OpenIdConnectAuthenticator extends OAuth2AuthorizationCodeAuthenticator {
+  /**
+    The issuer identifier of the OpenID provider, e.g.
+    `'https://accounts.example.com'`. The discovery document is loaded from
+    `${issuer}/.well-known/openid-configuration`.
+
+    @memberof OpenIdConnectAuthenticator
+    @property issuer
+    @type String
+    @default null
+    @public
+  */
+  issuer: string | null = null;
+
+  /**
+    The number of seconds of clock skew between the browser and the OpenID
+    provider that is tolerated when checking the `id_token`'s `exp` claim.
+
+    @memberof OpenIdConnectAuthenticator
+    @property clockTolerance
+    @type Number
+    @default 60
+    @public
+  */
+  clockTolerance = 60;
+
+  _configuration: Promise<OpenIdConfiguration> | null = null;
+  _jwks: Promise<JsonWebKeySet> | null = null;
+  _lastIdToken: { id_token?: string; claims?: JwtPayload } = {};
+
+  /**
+    Loads the OpenID provider's discovery document and configures the
+    authorization and token endpoints accordingly. The document is only loaded
+    once. Its `issuer` must match the
+    {@linkplain OpenIdConnectAuthenticator.issuer}.
+
+    @memberof OpenIdConnectAuthenticator
+    @method discover
+    @return {Promise} A promise that resolves with the discovery document or rejects with an `OAuth2Error`
+    @public
+  */
+  discover(): Promise<OpenIdConfiguration> {
+    if (!this._configuration) {
+      const issuer = this.get('issuer');
+      assert('OpenIdConnectAuthenticator requires the "issuer" to be set!', Boolean(issuer));
+
+      const normalizedIssuer = (issuer as string).replace(/\/$/, '');
+      this._configuration = this.fetchJSON(
+        `${normalizedIssuer}/.well-known/openid-configuration`
+      ).then(
+        (configuration: OpenIdConfiguration) => {
+          // see https://openid.net/specs/openid-connect-discovery-1_0.html#ProviderConfigurationValidation
+          if ((configuration.issuer || '').replace(/\/$/, '') !== normalizedIssuer) {
+            this._configuration = null;
+            return Promise.reject(
+              new OAuth2Error('invalid_issuer', {
+                error_description: 'The issuer of the discovery document does not match.',
+              })
+            );
+          }
+
+          this.setProperties({
+            serverAuthorizationEndpoint: configuration.authorization_endpoint,
+            serverTokenEndpoint: configuration.token_endpoint,
+          });
+          return configuration;
+        },
+        error => {
+          this._configuration = null;
+          return Promise.reject(error);
+        }
+      );
+    }
+
+    return this._configuration;
+  }
+
+  /**
+    Builds the URL of the authentication request (see
+    {@linkplain OAuth2AuthorizationCodeAuthenticator.buildAuthorizationUrl}),
+    making sure the `openid` scope is requested and adding a `nonce` that the
+    `id_token` is checked against later.
+
+    @memberof OpenIdConnectAuthenticator
+    @method buildAuthorizationUrl
+    @param {String|Array} scope The scope of the access request in addition to `openid`
+    @param {Object} params Additional query parameters to send to the OpenID provider
+    @return {Promise} A promise that resolves with the authorization URL
+    @public
+  */
+  buildAuthorizationUrl(
+    scope: string | string[] = [],
+    params: Record<string, string> = {}
+  ): Promise<string> {
+    const scopes = makeArray(scope).filter(value => value !== 'openid');
+
+    return this.discover().then(() =>
+      super.buildAuthorizationUrl(['openid', ...scopes], {
+        nonce: generateRandomString(32),
+        ...params,
+      })
+    );
+  }
+
+  restore(data: OpenIdResponseSuccess) {
+    // an expired access token is refreshed while restoring so the ID token
+    // needs to be known already
+    this._lastIdToken = { id_token: data && data.id_token, claims: data && data.claims };
+
+    return super.restore(data).catch(error => {
+      this._lastIdToken = {};
+      return Promise.reject(error);
+    });
+  }
+
+  invalidate(data: OpenIdResponseSuccess) {
+    return super.invalidate(data).then(() => {
+      this._lastIdToken = {};
+    });
+  }
+
+  /**
+    Loads a JSON document, e.g. the discovery document or the provider's key
+    set.
+
+    @memberof OpenIdConnectAuthenticator
+    @method fetchJSON
+    @param {String} url The URL to load
+    @return {Promise} A promise that resolves with the parsed JSON or rejects with an `OAuth2Error`
+    @protected
+  */
+  @waitFor
+  fetchJSON(url: string): Promise<any> {
+    return fetch(url, { headers: { accept: 'application/json' } }).then(
+      response =>
+        response.ok ? response.json() : Promise.reject(OAuth2Error.fromResponse(response)),
+      error =>
+        Promise.reject(
+          new OAuth2Error('network_error', { error_description: (error as Error).message })
+        )
+    );
+  }
+
+  _exchangeAuthorizationCode(
+    code: string,
+    request: AuthorizationRequest,
+    headers: Record<string, string>
+  ): Promise<OpenIdResponseSuccess> {
+    return this.discover()
+      .then(() => super._exchangeAuthorizationCode(code, request, headers))
+      .then((response: OpenIdResponseSuccess) => {
+        if (!response.id_token) {
+          return Promise.reject(invalidIdToken('Invalid auth params - "id_token" missing.'));
+        }
+
+        return this._verifyIdToken(response.id_token, request.nonce).then(claims => {
+          this._lastIdToken = { id_token: response.id_token, claims };
+          return Object.assign(response, { claims });
+        });
+      })
+      .catch(error => {
+        this._cancelAccessTokenRefresh();
+        return Promise.reject(error);
+      });
+  }
+
+  _refreshAccessToken(expiresIn: number | undefined, refreshToken: string, scope?: string) {
+    return this.discover().then(() => super._refreshAccessToken(expiresIn, refreshToken, scope));
+  }
+
+  _processRefreshResponse(response: OpenIdResponseSuccess): Promise<OpenIdResponseSuccess> {
+    if (!response.id_token) {
+      // see https://openid.net/specs/openid-connect-core-1_0.html#RefreshTokenResponse
+      return Promise.resolve(Object.assign(response, this._lastIdToken));
+    }
+
+    return this._verifyIdToken(response.id_token).then(claims => {
+      const { claims: previousClaims } = this._lastIdToken;
+      if (
+        previousClaims &&
+        (claims.iss !== previousClaims.iss || claims.sub !== previousClaims.sub)
+      ) {
+        return Promise.reject(
+          invalidIdToken('Invalid id_token - "iss" or "sub" changed on refresh.')
+        );
+      }
+
+      this._lastIdToken = { id_token: response.id_token, claims };
+      return Object.assign(response, { claims });
+    });
+  }
+
+  _verifyIdToken(idToken: string, nonce?: string): Promise<JwtPayload> {
+    let jwt: DecodedJwt;
+    try {
+      jwt = decodeJwt(idToken);
+    } catch (error) {
+      return Promise.reject(invalidIdToken(`Invalid id_token - ${(error as Error).message}`));
+    }
+
+    if (!isSupportedAlgorithm(jwt.header.alg)) {
+      return Promise.reject(
+        invalidIdToken(`Invalid id_token - unsupported algorithm "${jwt.header.alg}".`)
+      );
+    }
+
+    return this.discover().then(configuration =>
+      this._findSigningKey(jwt, configuration)
+        .then(jwk =>
+          verifyJwtSignature(jwt, jwk).catch(error =>
+            Promise.reject(
+              invalidIdToken(
+                `Invalid id_token - signature could not be verified (${(error as Error).message}).`
+              )
+            )
+          )
+        )
+        .then(isValid => {
+          if (!isValid) {
+            return Promise.reject(
+              invalidIdToken('Invalid id_token - signature verification failed.')
+            );
+          }
+
+          const error = this._validateClaims(jwt.payload, configuration, nonce);
+          return error
+            ? Promise.reject(invalidIdToken(`Invalid id_token - ${error}`))
+            : jwt.payload;
+        })
+    );
+  }
+
+  _findSigningKey(jwt: DecodedJwt, configuration: OpenIdConfiguration): Promise<Jwk> {
+    const find = (jwks: JsonWebKeySet) =>
+      jwks.keys.find(
+        key =>
+          (!jwt.header.kid || key.kid === jwt.header.kid) &&
+          (!key.use || key.use === 'sig') &&
+          isKeyForAlgorithm(key, jwt.header.alg)
+      );
+
+    const jwksPromise = this._jwks || this._loadJwks(configuration);
+
+    return jwksPromise.then(jwks => {
+      const key = find(jwks);
+      if (key) {
+        return key;
+      }
+
+      // the provider might have rotated its keys so reload them once
+      return this._loadJwks(configuration).then(
+        jwks =>
+          find(jwks) || Promise.reject(invalidIdToken('Invalid id_token - no matching key found.'))
+      );
+    });
+  }
+
+  _loadJwks(configuration: OpenIdConfiguration): Promise<JsonWebKeySet> {
+    this._jwks = this.fetchJSON(configuration.jwks_uri).catch(error => {
+      this._jwks = null;
+      return Promise.reject(error);
+    });
+
+    return this._jwks;
+  }
+
+  _validateClaims(
+    claims: JwtPayload,
+    configuration: OpenIdConfiguration,
+    nonce?: string
+  ): string | null {
+    const clientId = this.get('clientId');
+    const audiences = makeArray(claims.aud);
+    const now = Math.floor(new Date().getTime() / 1000);
+
+    if (claims.iss !== configuration.issuer) {
+      return '"iss" does not match the issuer.';
+    } else if (!clientId || (audiences as string[]).indexOf(clientId) === -1) {
+      return '"aud" does not contain the client id.';
+    } else if (audiences.length > 1 && claims.azp && claims.azp !== clientId) {
+      return '"azp" does not match the client id.';
+    } else if (typeof claims.exp !== 'number' || claims.exp + this.get('clockTolerance') < now) {
+      return '"exp" is in the past.';
+    } else if (nonce !== undefined && claims.nonce !== nonce) {
+      return '"nonce" does not match.';
+    }
+
+    return null;
+  }
+}
+
+function invalidIdToken(description: string): OAuth2Error {
+  return new OAuth2Error('invalid_id_token', { error_description: description });
+}
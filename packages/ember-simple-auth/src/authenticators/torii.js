@@ -2,14 +2,18 @@ import { assert, deprecate } from '@ember/debug';
 import { isPresent, isEmpty } from '@ember/utils';
 import BaseAuthenticator from './base';
 
-deprecate('Ember Simple Auth: The Torii authenticator is deprecated.', false, {
-  id: 'ember-simple-auth.authenticators.torii',
-  until: '8.0.0',
-  for: 'ember-simple-auth',
-  since: {
-    enabled: '4.2.0',
-  },
-});
+deprecate(
+  'Ember Simple Auth: The Torii authenticator is deprecated. Use the OAuth2PopupAuthenticator for popup based flows instead.',
+  false,
+  {
+    id: 'ember-simple-auth.authenticators.torii',
+    until: '8.0.0',
+    for: 'ember-simple-auth',
+    since: {
+      enabled: '4.2.0',
+    },
+  }
+);
 
 /**
   Authenticator that wraps the
@@ -30,6 +34,9 @@ deprecate('Ember Simple Auth: The Torii authenticator is deprecated.', false, {
   }
   ```
 
+  For popup based OAuth 2.0 flows, use the dependency-free
+  {@linkplain OAuth2PopupAuthenticator} instead.
+
   @class ToriiAuthenticator
   @deprecated Implement an authenticator that wraps Torii in application code instead: since 4.2.0
   @extends BaseAuthenticator
@@ -0,0 +1,292 @@
+export type AuthenticationErrorOptions = {
+  error_description?: string;
+  error_uri?: string;
+  status?: number;
+  retryable?: boolean;
+  response?: Response;
+  responseJSON?: any;
+  responseText?: string;
+};
+
+/**
+  Base class of the errors authenticators reject with when authentication,
+  restoring the session, refreshing tokens or invalidating the session fails.
+
+  @class AuthenticationError
+  @extends Error
+  @public
+*/
+export class AuthenticationError extends Error {
+  /**
+    The error code, e.g. `'invalid_grant'`, `'server_error'` or
+    `'network_error'` if the server could not be reached at all.
+
+    @memberof AuthenticationError
+    @property error
+    @type String
+    @public
+  */
+  error: string;
+
+  /**
+    A human-readable description of the error if one is available.
+
+    @memberof AuthenticationError
+    @property error_description
+    @type String
+    @default undefined
+    @public
+  */
+  error_description?: string;
+
+  /**
+    A URI identifying a web page with information about the error if the
+    server returned one.
+
+    @memberof AuthenticationError
+    @property error_uri
+    @type String
+    @default undefined
+    @public
+  */
+  error_uri?: string;
+
+  /**
+    The HTTP status of the server response if the error was caused by one.
+
+    @memberof AuthenticationError
+    @property status
+    @type Number
+    @default undefined
+    @public
+  */
+  status?: number;
+
+  /**
+    Whether the failed operation might succeed when it is retried later, e.g.
+    because the server could not be reached or was temporarily unavailable.
+
+    @memberof AuthenticationError
+    @property retryable
+    @type Boolean
+    @public
+  */
+  retryable: boolean;
+
+  /**
+    The original server response if the error was caused by one. Note that its
+    body has already been read.
+
+    @memberof AuthenticationError
+    @property response
+    @type Response
+    @default undefined
+    @public
+  */
+  response?: Response;
+
+  /**
+   * @deprecated 'responseJSON' is deprecated. Use `error`, `error_description` and `error_uri` instead.
+   */
+  responseJSON?: any;
+
+  /**
+   * @deprecated 'responseText' is deprecated. This is a legacy AJAX API.
+   */
+  responseText?: string;
+
+  constructor(error: string, options: AuthenticationErrorOptions = {}) {
+    super(options.error_description || error);
+    this.name = 'AuthenticationError';
+    this.error = error;
+    this.error_description = options.error_description;
+    this.error_uri = options.error_uri;
+    this.status = options.status;
+    this.retryable = options.retryable ?? isRetryable(error, options.status);
+    this.response = options.response;
+    this.responseJSON = options.responseJSON;
+    this.responseText = options.responseText;
+  }
+}
+
+/**
+  Error that the OAuth 2.0 authenticators reject with. It carries the error
+  response of the server (see
+  [RFC 6749, section 5.2](http://tools.ietf.org/html/rfc6749#section-5.2)) or
+  of the authorization callback (see
+  [RFC 6749, section 4.1.2.1](http://tools.ietf.org/html/rfc6749#section-4.1.2.1)).
+
+  ```js
+  import { OAuth2Error } from 'ember-simple-auth/errors';
+
+  try {
+    await this.session.authenticate('authenticator:oauth2', username, password);
+  } catch (error) {
+    if (error instanceof OAuth2Error && error.error === 'invalid_grant') {
+      this.errorMessage = 'Invalid username or password.';
+    }
+  }
+  ```
+
+  @class OAuth2Error
+  @extends AuthenticationError
+  @public
+*/
+export class OAuth2Error extends AuthenticationError {
+  constructor(error: string, options: AuthenticationErrorOptions = {}) {
+    super(error, options);
+    this.name = 'OAuth2Error';
+  }
+
+  /**
+    Creates an error from a server response and its already parsed body.
+
+    @memberof OAuth2Error
+    @method fromResponse
+    @param {Response} response The server response
+    @param {Object} json The parsed response body if it was JSON
+    @param {String} text The response body if it was not JSON
+    @return {OAuth2Error} The error
+    @static
+    @public
+  */
+  static fromResponse(response: Response, json?: any, text?: string): OAuth2Error {
+    const body = json && typeof json === 'object' ? json : {};
+
+    return new OAuth2Error(body.error || (response.ok ? 'invalid_response' : 'server_error'), {
+      error_description: body.error_description,
+      error_uri: body.error_uri,
+      status: response.status,
+      response,
+      responseJSON: json,
+      responseText: text,
+    });
+  }
+
+  /**
+    Creates an error from the `error`, `error_description` and `error_uri`
+    parameters of an authorization callback.
+
+    @memberof OAuth2Error
+    @method fromParams
+    @param {Object} params The callback parameters
+    @return {OAuth2Error} The error
+    @static
+    @public
+  */
+  static fromParams(params: {
+    error?: string;
+    error_description?: string;
+    error_uri?: string;
+  }): OAuth2Error {
+    return new OAuth2Error(params.error || 'invalid_request', {
+      error_description: params.error_description,
+      error_uri: params.error_uri,
+    });
+  }
+}
+
+/**
+  Error that the {@linkplain DeviseAuthenticator} rejects with. Devise responds
+  with an `error` message rather than an error code so that message is
+  available as `error_description` while `error` is derived from the HTTP
+  status.
+
+  @class DeviseError
+  @extends AuthenticationError
+  @public
+*/
+export class DeviseError extends AuthenticationError {
+  constructor(error: string, options: AuthenticationErrorOptions = {}) {
+    super(error, options);
+    this.name = 'DeviseError';
+  }
+
+  /**
+    Creates an error from a server response and its already parsed body.
+
+    @memberof DeviseError
+    @method fromResponse
+    @param {Response} response The server response
+    @param {Object} json The parsed response body if it was JSON
+    @param {String} text The response body if it was not JSON
+    @return {DeviseError} The error
+    @static
+    @public
+  */
+  static fromResponse(response: Response, json?: any, text?: string): DeviseError {
+    const { status } = response;
+
+    return new DeviseError(errorForStatus(status), {
+      error_description: json && typeof json.error === 'string' ? json.error : undefined,
+      status,
+      response,
+      responseJSON: json,
+      responseText: text,
+    });
+  }
+}
+
+/**
+  Error that the {@linkplain HttpAuthenticator} rejects with. As custom login
+  APIs do not agree on an error format, `error` is derived from the HTTP
+  status while `error_description` is read from the `error_description`,
+  `message` or `error` property of the response body if it has one.
+
+  @class HttpError
+  @extends AuthenticationError
+  @public
+*/
+export class HttpError extends AuthenticationError {
+  constructor(error: string, options: AuthenticationErrorOptions = {}) {
+    super(error, options);
+    this.name = 'HttpError';
+  }
+
+  /**
+    Creates an error from a server response and its already parsed body.
+
+    @memberof HttpError
+    @method fromResponse
+    @param {Response} response The server response
+    @param {Object} json The parsed response body if it was JSON
+    @param {String} text The response body if it was not JSON
+    @return {HttpError} The error
+    @static
+    @public
+  */
+  static fromResponse(response: Response, json?: any, text?: string): HttpError {
+    const { status } = response;
+    const body = json && typeof json === 'object' ? json : {};
+    const description = [body.error_description, body.message, body.error].find(
+      value => typeof value === 'string'
+    );
+
+    return new HttpError(errorForStatus(status), {
+      error_description: description,
+      status,
+      response,
+      responseJSON: json,
+      responseText: text,
+    });
+  }
+}
+
+function errorForStatus(status: number): string {
+  if (status === 401) {
+    return 'unauthorized';
+  } else if (status >= 400 && status < 500) {
+    return 'invalid_request';
+  } else {
+    return 'server_error';
+  }
+}
+
+function isRetryable(error: string, status?: number): boolean {
+  return (
+    error === 'network_error' ||
+    error === 'temporarily_unavailable' ||
+    status === 429 ||
+    (status !== undefined && status >= 500)
+  );
+}
@@ -38,10 +38,14 @@ export default ObjectProxy.extend({
     when the session is invalidated in another tab or window of the same
     application and the session state gets synchronized across tabs or windows
     via the store (see
-    {@linkplain BaseStore.sessionDataUpdated}.
+    {@linkplain BaseStore.sessionDataUpdated}. If the authenticator
+    invalidated the session data (see
+    {@linkplain BaseAuthenticator.sessionDataInvalidated}), the event is
+    triggered with the reason the authenticator provided.
 
     @memberof InternalSession
     @event invalidationSucceeded
+    @param {Any} reason The reason why the session was invalidated
     @private
   */
   authenticator: null,
@@ -175,7 +179,7 @@ export default ObjectProxy.extend({
     );
   },
 
-  _clear(trigger) {
+  _clear(trigger, reason) {
     trigger = Boolean(trigger) && this.get('isAuthenticated');
     this.setProperties({
       isAuthenticated: false,
@@ -185,7 +189,7 @@ export default ObjectProxy.extend({
 
     return this._updateStore().then(() => {
       if (trigger) {
-        this.trigger('invalidationSucceeded');
+        this.trigger('invalidationSucceeded', reason);
       }
     });
   },
@@ -212,10 +216,25 @@ export default ObjectProxy.extend({
         'authenticated',
         Object.assign({ authenticator: this.authenticator }, data.authenticated || {})
       );
+      data = this._persistedContent(data);
     }
     return this.store.persist(data);
   },
 
+  _persistedContent(content) {
+    const authenticator = this._lookupAuthenticator(this.authenticator);
+    const { authenticator: authenticatorFactory, ...authenticated } = content.authenticated;
+    // authenticators that do not extend the base authenticator persist all data
+    const persisted =
+      typeof authenticator.persistedSessionData === 'function'
+        ? authenticator.persistedSessionData(authenticated)
+        : authenticated;
+
+    return Object.assign({}, content, {
+      authenticated: Object.assign({ authenticator: authenticatorFactory }, persisted),
+    });
+  },
+
   _bindToAuthenticatorEvents() {
     const authenticator = this._lookupAuthenticator(this.authenticator);
     authenticator.on('sessionDataUpdated', this._onSessionDataUpdated);
@@ -226,8 +245,8 @@ export default ObjectProxy.extend({
     this._setup(this.authenticator, content);
   }),
 
-  _onSessionDataInvalidated: action(function () {
-    this._clear(true);
+  _onSessionDataInvalidated: action(function ({ detail: reason } = {}) {
+    this._clear(true, reason);
   }),
 
   _bindToStoreEvents() {
@@ -2,11 +2,15 @@ import Service from '@ember/service';
 import { getOwner } from '@ember/application';
 import { assert } from '@ember/debug';
 import Configuration from '../configuration';
+import isFastBoot from '../utils/is-fastboot';
+import { OAuth2Error } from '../errors';
+import { parseCallbackParams, scrubCallbackUrl } from '../-internals/authorization-callback';
 
 import {
   requireAuthentication,
   triggerAuthentication,
   prohibitAuthentication,
+  persistAttemptedTransition,
   handleSessionAuthenticated,
   handleSessionInvalidated,
 } from '../-internals/routing';
@@ -28,10 +32,14 @@ type RouteOrCallback = string | (() => void);
 
 type InternalSessionMock<Data> = {
   isAuthenticated: boolean;
+  authenticator: string | null;
   content: Data;
   store: unknown;
   attemptedTransition: null;
-  on: (event: 'authenticationSucceeded' | 'invalidationSucceeded', cb: () => void) => void;
+  on: (
+    event: 'authenticationSucceeded' | 'invalidationSucceeded',
+    cb: (event: CustomEvent) => void
+  ) => void;
   authenticate: (authenticator: string, ...args: any[]) => Promise<void>;
   invalidate: (...args: any[]) => Promise<void>;
   requireAuthentication: (transition: Transition, routeOrCallback: RouteOrCallback) => boolean;
@@ -149,7 +157,9 @@ export default class SessionService<Data = DefaultDataShape> extends Service {
     this.session.on('authenticationSucceeded', () =>
       this.handleAuthentication(Configuration.routeAfterAuthentication)
     );
-    this.session.on('invalidationSucceeded', () => this.handleInvalidation(Configuration.rootURL));
+    this.session.on('invalidationSucceeded', ({ detail: reason }) =>
+      this.handleInvalidation(Configuration.rootURL, reason)
+    );
   }
 
   /**
@@ -185,6 +195,108 @@ export default class SessionService<Data = DefaultDataShape> extends Service {
     return this.session.authenticate(authenticator, ...args);
   }
 
+  /**
+    __Handles the authorization server's response__ when it redirects back to
+    the application (see
+    [RFC 6749, section 4.1.2](https://tools.ietf.org/html/rfc6749#section-4.1.2)
+    and [section 4.2.2](https://tools.ietf.org/html/rfc6749#section-4.2.2)),
+    e.g. in the route the
+    {@linkplain OAuth2ImplicitGrantAuthenticator} or
+    {@linkplain OAuth2AuthorizationCodeAuthenticator} redirect to:
+
+    ```js
+    // app/routes/callback.js
+    import Route from '@ember/routing/route';
+    import { service } from '@ember/service';
+
+    export default class CallbackRoute extends Route {
+      &#64;service session;
+
+      async beforeModel() {
+        try {
+          await this.session.handleCallback('authenticator:oauth2-implicit-grant');
+        } catch (error) {
+          this.error = error;
+        }
+      }
+    }
+    ```
+
+    The response parameters are read from both the query and the fragment of
+    the current URL. Before the session is authenticated, __they are removed
+    from the URL with `history.replaceState`__ so that no credentials remain in
+    the address bar or the browser history.
+
+    The session is then authenticated with the specified authenticator and the
+    parameters (see {@linkplain SessionService.authenticate}). Once that
+    succeeds, the attempted transition is continued (see
+    {@linkplain SessionService.handleAuthentication}). As the application is
+    reloaded when the browser returns from the authorization server, that
+    transition needs to be persisted before redirecting there (see
+    {@linkplain SessionService.persistAttemptedTransition}).
+
+    If the authorization server responded with an `error`, the session is not
+    authenticated and the returned promise rejects with an `OAuth2Error` with
+    that `error` and `error_description` instead. In FastBoot, where the
+    fragment is not available, this method does nothing; the response is
+    handled once the application boots in the browser.
+
+    @memberof SessionService
+    @method handleCallback
+    @param {String} authenticator The authenticator to use to authenticate the session
+    @param {Any} [...args] Additional arguments to pass to the authenticator after the response parameters
+    @return {Promise} A promise that resolves when the session was authenticated successfully and rejects otherwise
+    @public
+  */
+  handleCallback(authenticator: string, ...args: any[]): Promise<void> {
+    if (isFastBoot(getOwner(this))) {
+      return Promise.resolve();
+    }
+
+    const params = parseCallbackParams(window.location.href);
+    window.history.replaceState(window.history.state, '', scrubCallbackUrl(window.location.href));
+
+    if (params['error']) {
+      return Promise.reject(OAuth2Error.fromParams(params));
+    }
+
+    return this.authenticate(authenticator, params, ...args);
+  }
+
+  /**
+    Persists the URL of the
+    {@linkplain SessionService.attemptedTransition} in the
+    `ember_simple_auth-redirectTarget` cookie so that it can be continued
+    after the application was reloaded. __Call this before redirecting the
+    browser to the authorization server__ (see
+    {@linkplain SessionService.handleCallback}):
+
+    ```js
+    // app/routes/login.js
+    import Route from '@ember/routing/route';
+    import { service } from '@ember/service';
+    import { getOwner } from '@ember/application';
+
+    export default class LoginRoute extends Route {
+      &#64;service session;
+
+      async beforeModel() {
+        let authenticator = getOwner(this).lookup('authenticator:oauth2-authorization-code');
+        let url = await authenticator.buildAuthorizationUrl();
+        this.session.persistAttemptedTransition();
+        window.location.assign(url);
+      }
+    }
+    ```
+
+    @memberof SessionService
+    @method persistAttemptedTransition
+    @public
+  */
+  persistAttemptedTransition() {
+    persistAttemptedTransition(getOwner(this));
+  }
+
   /**
     __Invalidates the session with the authenticator it is currently
     authenticated with__ (see
@@ -217,6 +329,133 @@ export default class SessionService<Data = DefaultDataShape> extends Service {
     return this.session.invalidate(...args);
   }
 
+  /**
+    Returns an access token that is valid for at least `minValidity` seconds,
+    refreshing it first if necessary. This should be preferred over reading
+    the access token from {@linkplain SessionService.data} directly when
+    sending requests as a token that is about to expire might otherwise expire
+    while the request is in flight. All concurrent callers share a single
+    token refresh.
+
+    This requires the authenticator the session is authenticated with to
+    implement `getValidAccessToken` (see e.g.
+    {@linkplain OAuth2PasswordGrantAuthenticator.getValidAccessToken}).
+
+    ```js
+    // app/adapters/application.js
+    import JSONAPIAdapter from '@ember-data/adapter/json-api';
+    import { service } from '@ember/service';
+
+    export default class ApplicationAdapter extends JSONAPIAdapter {
+      &#64;service session;
+
+      async ajax() {
+        this.accessToken = await this.session.getValidAccessToken(30);
+        return super.ajax(...arguments);
+      }
+
+      get headers() {
+        return { Authorization: `Bearer ${this.accessToken}` };
+      }
+    }
+    ```
+
+    @memberof SessionService
+    @method getValidAccessToken
+    @param {Number} minValidity The number of seconds the access token must at least remain valid for
+    @return {Promise} A promise that resolves with the access token or rejects with an `OAuth2Error` if the session is not authenticated (with the `not_authenticated` code) or the access token has expired and could not be refreshed
+    @public
+  */
+  getValidAccessToken(minValidity?: number): Promise<string> {
+    if (!this.get('isAuthenticated')) {
+      return Promise.reject(
+        new OAuth2Error('not_authenticated', {
+          error_description: 'The session is not authenticated.',
+        })
+      );
+    }
+
+    const authenticatorFactory = this.session.authenticator as string;
+    const authenticator = (getOwner(this) as any).lookup(authenticatorFactory);
+    assert(
+      `The authenticator "${authenticatorFactory}" does not support getValidAccessToken!`,
+      typeof authenticator.getValidAccessToken === 'function'
+    );
+
+    return authenticator.getValidAccessToken(
+      (this.data as DefaultDataShape).authenticated,
+      minValidity
+    );
+  }
+
+  /**
+    Builds the `Authorization: DPoP` and `DPoP` headers for a request to a
+    resource server when the session's access token is bound to a key pair
+    using DPoP (see
+    {@linkplain OAuth2PasswordGrantAuthenticator.dpop}). As the proof is
+    bound to the request's method and URL, new headers must be built for
+    every request. The access token is refreshed first if necessary (see
+    {@linkplain SessionService.getValidAccessToken}).
+
+    If the resource server challenges a request with a `DPoP-Nonce` header,
+    pass the nonce along with `options.nonce` when building the headers for
+    retrying it.
+
+    ```js
+    // app/services/api.js
+    import Service, { service } from '@ember/service';
+
+    export default class ApiService extends Service {
+      &#64;service session;
+
+      async fetch(url, options = {}) {
+        let method = options.method || 'GET';
+        let headers = await this.session.getDPoPHeaders(url, method);
+        return fetch(url, { ...options, headers: { ...options.headers, ...headers } });
+      }
+    }
+    ```
+
+    This requires the authenticator the session is authenticated with to
+    implement `getDPoPHeaders` (see e.g.
+    {@linkplain OAuth2PasswordGrantAuthenticator.getDPoPHeaders}).
+
+    @memberof SessionService
+    @method getDPoPHeaders
+    @param {String} url The request URL
+    @param {String} method The request method
+    @param {Object} options `minValidity`, the number of seconds the access token must at least remain valid for, and the `nonce` the resource server challenged the previous request with
+    @return {Promise} A promise that resolves with the `Authorization` and `DPoP` headers or rejects with an `OAuth2Error` if the session is not authenticated (with the `not_authenticated` code) or the access token has expired and could not be refreshed
+    @public
+  */
+  getDPoPHeaders(
+    url: string,
+    method = 'GET',
+    options: { minValidity?: number; nonce?: string } = {}
+  ): Promise<{ Authorization: string; DPoP: string }> {
+    if (!this.get('isAuthenticated')) {
+      return Promise.reject(
+        new OAuth2Error('not_authenticated', {
+          error_description: 'The session is not authenticated.',
+        })
+      );
+    }
+
+    const authenticatorFactory = this.session.authenticator as string;
+    const authenticator = (getOwner(this) as any).lookup(authenticatorFactory);
+    assert(
+      `The authenticator "${authenticatorFactory}" does not support getDPoPHeaders!`,
+      typeof authenticator.getDPoPHeaders === 'function'
+    );
+
+    return authenticator.getDPoPHeaders(
+      (this.data as DefaultDataShape).authenticated,
+      url,
+      method,
+      options
+    );
+  }
+
   /**
     Checks whether the session is authenticated and if it is not, transitions
     to the specified route or invokes the specified callback.
@@ -313,12 +552,19 @@ export default class SessionService<Data = DefaultDataShape> extends Service {
     [cordova](http://cordova.apache.org)) this action can be overridden to e.g.
     simply transition to the index route.
 
+    When the session was invalidated by the authenticator (see
+    {@linkplain BaseAuthenticator.sessionDataInvalidated}), e.g. because the
+    server revoked the refresh token, the `reason` the authenticator provided
+    is passed as well so that an overridden implementation can tell the user
+    why they were logged out.
+
     @memberof SessionService
     @method handleInvalidation
     @param {String} routeAfterInvalidation The route to transition to
+    @param {Any} reason The reason the authenticator invalidated the session with, if any
     @public
   */
-  handleInvalidation(routeAfterInvalidation: string) {
+  handleInvalidation(routeAfterInvalidation: string, _reason?: unknown) {
     handleSessionInvalidated(getOwner(this), routeAfterInvalidation);
   }
 
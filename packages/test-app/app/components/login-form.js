@@ -1,7 +1,7 @@
 import { service } from '@ember/service';
 import Component from '@glimmer/component';
-import config from '../config/environment';
 import { action } from '@ember/object';
+import { getOwner } from '@ember/application';
 import { tracked } from '@glimmer/tracking';
 
 export default class LoginFormComponent extends Component {
@@ -24,9 +24,8 @@ export default class LoginFormComponent extends Component {
       } else {
         this.session.set('store.cookieExpirationTime', null);
       }
-    } catch (response) {
-      let responseBody = await response.clone().json();
-      this.errorMessage = responseBody;
+    } catch (error) {
+      this.errorMessage = error.error_description || error.error;
     }
   }
 
@@ -37,17 +36,12 @@ export default class LoginFormComponent extends Component {
 
   @action
   authenticateWithGoogleImplicitGrant() {
-    let clientId = config.googleClientID;
-    let redirectURI = `${window.location.origin}/callback`;
-    let responseType = `token`;
-    let scope = `email`;
-    window.location.replace(
-      `https://accounts.google.com/o/oauth2/v2/auth?` +
-        `client_id=${clientId}` +
-        `&redirect_uri=${redirectURI}` +
-        `&response_type=${responseType}` +
-        `&scope=${scope}`
-    );
+    let authenticator = getOwner(this).lookup('authenticator:oauth2-implicit-grant');
+    let url = authenticator.buildAuthorizationUrl('email', {
+      redirect_uri: `${window.location.origin}/callback`,
+    });
+    this.session.persistAttemptedTransition();
+    window.location.replace(url);
   }
 
   @action
@@ -0,0 +1,123 @@
+import Pretender from 'pretender';
+import CookieSessionAuthenticator from 'ember-simple-auth/authenticators/cookie-session';
+import { module, test } from 'qunit';
+
+module('CookieSessionAuthenticator', function (hooks) {
+  let server;
+  let authenticator;
+
+  hooks.beforeEach(function () {
+    server = new Pretender();
+    authenticator = new CookieSessionAuthenticator();
+  });
+
+  hooks.afterEach(function () {
+    if (server) {
+      server.shutdown();
+    }
+  });
+
+  module('#restore', function () {
+    test('loads the current user with credentials', async function (assert) {
+      server.get('/me', () => [
+        200,
+        { 'Content-Type': 'application/json' },
+        '{ "id": 1, "email": "user@email.com", "role": "admin" }',
+      ]);
+
+      let data = await authenticator.restore({ id: 1, email: 'old@email.com' });
+      let [request] = server.handledRequests;
+
+      assert.true(request.withCredentials);
+      assert.deepEqual(data, { id: 1, email: 'user@email.com' });
+    });
+
+    test('rejects when the session cookie is not valid', async function (assert) {
+      assert.expect(1);
+      server.get('/me', () => [401, { 'Content-Type': 'application/json' }, '{}']);
+
+      try {
+        await authenticator.restore({ id: 1 });
+        assert.ok(false);
+      } catch (error) {
+        assert.equal(error.error, 'unauthorized');
+      }
+    });
+
+    test('restores the stored data when the server fails temporarily', async function (assert) {
+      server.get('/me', () => [503, { 'Content-Type': 'text/plain' }, '']);
+
+      let data = await authenticator.restore({ id: 1 });
+
+      assert.deepEqual(data, { id: 1 });
+    });
+  });
+
+  module('#authenticate', function () {
+    test('posts the credentials with credentials', async function (assert) {
+      server.post('/login', () => [200, { 'Content-Type': 'application/json' }, '{ "id": 1 }']);
+
+      await authenticator.authenticate('user@email.com', 'password');
+      let [request] = server.handledRequests;
+
+      assert.true(request.withCredentials);
+      assert.deepEqual(JSON.parse(request.requestBody), {
+        identification: 'user@email.com',
+        password: 'password',
+      });
+    });
+
+    test('stores only the identity attributes', async function (assert) {
+      server.post('/login', () => [
+        200,
+        { 'Content-Type': 'application/json' },
+        '{ "id": 1, "email": "user@email.com", "csrf_token": "secret!" }',
+      ]);
+
+      let data = await authenticator.authenticate('user@email.com', 'password');
+
+      assert.deepEqual(data, { id: 1, email: 'user@email.com' });
+    });
+
+    test('loads the current user when the login response does not include it', async function (assert) {
+      server.post('/login', () => [204, {}, '']);
+      server.get('/me', () => [
+        200,
+        { 'Content-Type': 'application/json' },
+        '{ "id": 1, "name": "Jane" }',
+      ]);
+
+      let data = await authenticator.authenticate('user@email.com', 'password');
+
+      assert.deepEqual(data, { id: 1, name: 'Jane' });
+    });
+
+    test('rejects when the credentials are invalid', async function (assert) {
+      assert.expect(1);
+      server.post('/login', () => [
+        401,
+        { 'Content-Type': 'application/json' },
+        '{ "error": "Invalid email or password." }',
+      ]);
+
+      try {
+        await authenticator.authenticate('user@email.com', 'password');
+        assert.ok(false);
+      } catch (error) {
+        assert.equal(error.error_description, 'Invalid email or password.');
+      }
+    });
+  });
+
+  module('#invalidate', function () {
+    test('sends a request to the logout endpoint', async function (assert) {
+      server.post('/logout', () => [204, {}, '']);
+
+      await authenticator.invalidate({ id: 1 });
+      let [request] = server.handledRequests;
+
+      assert.equal(request.url, '/logout');
+      assert.true(request.withCredentials);
+    });
+  });
+});
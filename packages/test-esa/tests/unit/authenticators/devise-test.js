@@ -1,5 +1,6 @@
 import Pretender from 'pretender';
 import Devise from 'ember-simple-auth/authenticators/devise';
+import { DeviseError } from 'ember-simple-auth/errors';
 import { module, test } from 'qunit';
 
 module('DeviseAuthenticator', function (hooks) {
@@ -101,7 +102,10 @@ module('DeviseAuthenticator', function (hooks) {
             await authenticator.authenticate('email@address.com', 'password');
             assert.ok(false);
           } catch (error) {
-            assert.equal(error, 'Check that server response includes token and email');
+            assert.equal(
+              error.error_description,
+              'Check that server response includes token and email'
+            );
           }
         });
 
@@ -117,7 +121,10 @@ module('DeviseAuthenticator', function (hooks) {
             await authenticator.authenticate('email@address.com', 'password');
             assert.ok(false);
           } catch (error) {
-            assert.equal(error, 'Check that server response includes token and email');
+            assert.equal(
+              error.error_description,
+              'Check that server response includes token and email'
+            );
           }
         });
       });
@@ -132,13 +139,16 @@ module('DeviseAuthenticator', function (hooks) {
         ]);
       });
 
-      test('when the authentication request fails - rejects with the response', async function (assert) {
-        assert.expect(1);
+      test('when the authentication request fails - rejects with a DeviseError', async function (assert) {
+        assert.expect(4);
         try {
           await authenticator.authenticate('username', 'password');
           assert.ok(false);
-        } catch (response) {
-          assert.notOk(response.ok);
+        } catch (error) {
+          assert.ok(error instanceof DeviseError);
+          assert.equal(error.error, 'invalid_request');
+          assert.equal(error.error_description, 'invalid_grant');
+          assert.equal(error.response.headers.get('X-Custom-Context'), 'foobar');
         }
       });
     });
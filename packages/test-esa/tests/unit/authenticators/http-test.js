@@ -0,0 +1,224 @@
+import Pretender from 'pretender';
+import HttpAuthenticator from 'ember-simple-auth/authenticators/http';
+import { HttpError } from 'ember-simple-auth/errors';
+import { module, test } from 'qunit';
+
+module('HttpAuthenticator', function (hooks) {
+  let server;
+  let authenticator;
+
+  hooks.beforeEach(function () {
+    server = new Pretender();
+    authenticator = new HttpAuthenticator();
+  });
+
+  hooks.afterEach(function () {
+    if (server) {
+      server.shutdown();
+    }
+  });
+
+  module('#restore', function () {
+    test('resolves with the data when it is valid', async function (assert) {
+      let data = await authenticator.restore({ token: 'secret token!' });
+
+      assert.deepEqual(data, { token: 'secret token!' });
+    });
+
+    test('rejects when the data is empty', async function (assert) {
+      assert.expect(1);
+      try {
+        await authenticator.restore({});
+        assert.ok(false);
+      } catch (_error) {
+        assert.ok(true);
+      }
+    });
+
+    test('uses the custom validator', async function (assert) {
+      assert.expect(1);
+      class TokenAuthenticator extends HttpAuthenticator {
+        validateSessionData(data) {
+          return Boolean(data.token);
+        }
+      }
+      authenticator = new TokenAuthenticator();
+
+      try {
+        await authenticator.restore({ email: 'user@email.com' });
+        assert.ok(false);
+      } catch (_error) {
+        assert.ok(true);
+      }
+    });
+  });
+
+  module('#authenticate', function () {
+    test('sends a JSON request to the login endpoint', async function (assert) {
+      server.post('/login', () => [
+        200,
+        { 'Content-Type': 'application/json' },
+        '{ "token": "secret token!" }',
+      ]);
+
+      await authenticator.authenticate('identification', 'password');
+      let [request] = server.handledRequests;
+
+      assert.equal(request.url, '/login');
+      assert.equal(request.method, 'POST');
+      assert.deepEqual(JSON.parse(request.requestBody), {
+        identification: 'identification',
+        password: 'password',
+      });
+      assert.equal(request.requestHeaders['content-type'], 'application/json');
+    });
+
+    test('resolves with the response', async function (assert) {
+      server.post('/login', () => [
+        200,
+        { 'Content-Type': 'application/json' },
+        '{ "token": "secret token!" }',
+      ]);
+
+      let data = await authenticator.authenticate('identification', 'password');
+
+      assert.deepEqual(data, { token: 'secret token!' });
+    });
+
+    module('when the authenticator is configured', function (hooks) {
+      hooks.beforeEach(function () {
+        class CustomAuthenticator extends HttpAuthenticator {
+          serverLoginEndpoint = '/api/session';
+
+          buildRequestBody(email, password) {
+            return { session: { email, password } };
+          }
+
+          mapResponseToSessionData(json) {
+            return { token: json.data.token, userId: json.data.user.id };
+          }
+
+          validateSessionData(data) {
+            return Boolean(data.token);
+          }
+        }
+        authenticator = new CustomAuthenticator();
+      });
+
+      test('sends the built request body to the configured endpoint', async function (assert) {
+        server.post('/api/session', () => [
+          200,
+          { 'Content-Type': 'application/json' },
+          '{ "data": { "token": "secret token!", "user": { "id": 1 } } }',
+        ]);
+
+        await authenticator.authenticate('user@email.com', 'password');
+        let [request] = server.handledRequests;
+
+        assert.deepEqual(JSON.parse(request.requestBody), {
+          session: { email: 'user@email.com', password: 'password' },
+        });
+      });
+
+      test('resolves with the mapped session data', async function (assert) {
+        server.post('/api/session', () => [
+          200,
+          { 'Content-Type': 'application/json' },
+          '{ "data": { "token": "secret token!", "user": { "id": 1 } } }',
+        ]);
+
+        let data = await authenticator.authenticate('user@email.com', 'password');
+
+        assert.deepEqual(data, { token: 'secret token!', userId: 1 });
+      });
+
+      test('rejects when the mapped session data is invalid', async function (assert) {
+        assert.expect(1);
+        server.post('/api/session', () => [
+          200,
+          { 'Content-Type': 'application/json' },
+          '{ "data": { "user": { "id": 1 } } }',
+        ]);
+
+        try {
+          await authenticator.authenticate('user@email.com', 'password');
+          assert.ok(false);
+        } catch (error) {
+          assert.equal(error.error, 'invalid_response');
+        }
+      });
+    });
+
+    module('when the authentication request fails', function (hooks) {
+      hooks.beforeEach(function () {
+        server.post('/login', () => [
+          401,
+          { 'Content-Type': 'application/json', 'X-Custom-Context': 'foobar' },
+          '{ "message": "Invalid credentials." }',
+        ]);
+      });
+
+      test('rejects with an HttpError', async function (assert) {
+        assert.expect(5);
+        try {
+          await authenticator.authenticate('identification', 'password');
+          assert.ok(false);
+        } catch (error) {
+          assert.ok(error instanceof HttpError);
+          assert.equal(error.error, 'unauthorized');
+          assert.equal(error.error_description, 'Invalid credentials.');
+          assert.equal(error.status, 401);
+          assert.equal(error.response.headers.get('X-Custom-Context'), 'foobar');
+        }
+      });
+    });
+
+    test('rejects when the response is not JSON', async function (assert) {
+      assert.expect(2);
+      server.post('/login', () => [200, { 'Content-Type': 'text/plain' }, 'Welcome!']);
+
+      try {
+        await authenticator.authenticate('identification', 'password');
+        assert.ok(false);
+      } catch (error) {
+        assert.equal(error.error, 'invalid_response');
+        assert.equal(error.responseText, 'Welcome!');
+      }
+    });
+  });
+
+  module('#invalidate', function () {
+    test('resolves without a request when no logout endpoint is configured', async function (assert) {
+      await authenticator.invalidate({ token: 'secret token!' });
+
+      assert.equal(server.handledRequests.length, 0);
+    });
+
+    module('when a logout endpoint is configured', function (hooks) {
+      hooks.beforeEach(function () {
+        authenticator.set('serverLogoutEndpoint', '/logout');
+      });
+
+      test('sends a request to the logout endpoint', async function (assert) {
+        server.post('/logout', () => [204, {}, '']);
+
+        await authenticator.invalidate({ token: 'secret token!' });
+
+        assert.equal(server.handledRequests.length, 1);
+        assert.equal(server.handledRequests[0].url, '/logout');
+      });
+
+      test('rejects when the logout request fails', async function (assert) {
+        assert.expect(1);
+        server.post('/logout', () => [500, { 'Content-Type': 'text/plain' }, 'Oops']);
+
+        try {
+          await authenticator.invalidate({ token: 'secret token!' });
+          assert.ok(false);
+        } catch (error) {
+          assert.equal(error.error, 'server_error');
+        }
+      });
+    });
+  });
+});
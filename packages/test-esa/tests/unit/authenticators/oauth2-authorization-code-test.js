@@ -0,0 +1,310 @@
+import { setOwner } from '@ember/application';
+import Pretender from 'pretender';
+import OAuth2AuthorizationCode from 'ember-simple-auth/authenticators/oauth2-authorization-code';
+import { parseResponse } from 'ember-simple-auth/authenticators/oauth2-implicit-grant';
+import { module, test } from 'qunit';
+import { setupTest } from 'ember-qunit';
+
+module('OAuth2AuthorizationCodeAuthenticator', function (hooks) {
+  setupTest(hooks);
+
+  let authenticator;
+  let server;
+  let parsePostData = query => {
+    let result = {};
+    query.split('&').forEach(part => {
+      let item = part.split('=');
+      result[item[0]] = decodeURIComponent(item[1]);
+    });
+    return result;
+  };
+
+  hooks.beforeEach(function () {
+    authenticator = OAuth2AuthorizationCode.create({
+      clientId: 'test-client',
+      redirectUri: 'https://app.example.com/callback',
+      serverAuthorizationEndpoint: 'https://auth.example.com/authorize',
+    });
+    setOwner(authenticator, this.owner);
+    server = new Pretender();
+  });
+
+  hooks.afterEach(function () {
+    sessionStorage.removeItem(authenticator.authorizationRequestStorageKey);
+    if (server) {
+      server.shutdown();
+    }
+  });
+
+  module('#buildAuthorizationUrl', function () {
+    test('builds the URL of the authorization endpoint', async function (assert) {
+      let url = await authenticator.buildAuthorizationUrl(['profile', 'email']);
+
+      assert.true(url.startsWith('https://auth.example.com/authorize?'));
+      let params = parseResponse(url);
+      assert.equal(params.response_type, 'code');
+      assert.equal(params.client_id, 'test-client');
+      assert.equal(params.redirect_uri, 'https://app.example.com/callback');
+      assert.equal(params.scope, 'profile email');
+      assert.equal(params.code_challenge_method, 'S256');
+      assert.ok(params.state);
+      assert.ok(params.code_challenge);
+    });
+
+    test('includes additional parameters', async function (assert) {
+      let url = await authenticator.buildAuthorizationUrl([], { prompt: 'login' });
+
+      assert.equal(parseResponse(url).prompt, 'login');
+    });
+
+    test('does not let additional parameters override the state or the PKCE parameters', async function (assert) {
+      let url = await authenticator.buildAuthorizationUrl([], {
+        response_type: 'token',
+        state: 'state!',
+        code_challenge: 'challenge!',
+        code_challenge_method: 'plain',
+      });
+      let params = parseResponse(url);
+      let request = JSON.parse(
+        sessionStorage.getItem(authenticator.authorizationRequestStorageKey)
+      );
+
+      assert.equal(params.response_type, 'code');
+      assert.equal(params.state, request.state);
+      assert.notEqual(params.code_challenge, 'challenge!');
+      assert.equal(params.code_challenge_method, 'S256');
+    });
+
+    test('stores the state and the code verifier the challenge is derived from', async function (assert) {
+      let url = await authenticator.buildAuthorizationUrl();
+      let params = parseResponse(url);
+      let request = JSON.parse(
+        sessionStorage.getItem(authenticator.authorizationRequestStorageKey)
+      );
+
+      assert.equal(request.state, params.state);
+      let digest = await crypto.subtle.digest(
+        'SHA-256',
+        new TextEncoder().encode(request.code_verifier)
+      );
+      let challenge = btoa(String.fromCharCode(...new Uint8Array(digest)))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+      assert.equal(params.code_challenge, challenge);
+    });
+  });
+
+  module('#authenticate', function (hooks) {
+    let state;
+
+    hooks.beforeEach(async function () {
+      let url = await authenticator.buildAuthorizationUrl();
+      state = parseResponse(url).state;
+    });
+
+    test('exchanges the code at the token endpoint', async function (assert) {
+      assert.expect(1);
+      let { code_verifier } = JSON.parse(
+        sessionStorage.getItem(authenticator.authorizationRequestStorageKey)
+      );
+      server.post('/token', request => {
+        let body = parsePostData(request.requestBody);
+
+        assert.deepEqual(body, {
+          client_id: 'test-client',
+          grant_type: 'authorization_code',
+          code: 'authorization code!',
+          code_verifier,
+          redirect_uri: 'https://app.example.com/callback',
+        });
+
+        return [200, { 'Content-Type': 'application/json' }, '{ "access_token": "secret token!" }'];
+      });
+
+      await authenticator.authenticate({ code: 'authorization code!', state });
+    });
+
+    test('resolves with the token response', async function (assert) {
+      server.post('/token', () => [
+        200,
+        { 'Content-Type': 'application/json' },
+        '{ "access_token": "secret token!", "expires_in": 12345, "refresh_token": "refresh token!" }',
+      ]);
+
+      let data = await authenticator.authenticate({ code: 'authorization code!', state });
+
+      assert.true(data['expires_at'] > new Date().getTime());
+      delete data['expires_at'];
+      assert.deepEqual(data, {
+        access_token: 'secret token!',
+        expires_in: 12345,
+        refresh_token: 'refresh token!',
+      });
+    });
+
+    test('discards the stored authorization request', async function (assert) {
+      server.post('/token', () => [
+        200,
+        { 'Content-Type': 'application/json' },
+        '{ "access_token": "secret token!" }',
+      ]);
+
+      await authenticator.authenticate({ code: 'authorization code!', state });
+
+      assert.strictEqual(
+        sessionStorage.getItem(authenticator.authorizationRequestStorageKey),
+        null
+      );
+    });
+
+    module('when the state does not match', function () {
+      test('rejects without requesting a token', async function (assert) {
+        assert.expect(1);
+        server.post('/token', () => {
+          assert.ok(false);
+        });
+
+        try {
+          await authenticator.authenticate({ code: 'authorization code!', state: 'forged' });
+          assert.ok(false);
+        } catch (error) {
+          assert.equal(error.error, 'invalid_state');
+        }
+      });
+    });
+
+    module('when there is no pending authorization request', function () {
+      test('rejects', async function (assert) {
+        assert.expect(1);
+        sessionStorage.removeItem(authenticator.authorizationRequestStorageKey);
+
+        try {
+          await authenticator.authenticate({ code: 'authorization code!', state });
+          assert.ok(false);
+        } catch (error) {
+          assert.equal(error.error, 'invalid_state');
+        }
+      });
+    });
+
+    module('when the callback contains an error', function () {
+      test('rejects with that error', async function (assert) {
+        assert.expect(1);
+        try {
+          await authenticator.authenticate({ error: 'access_denied', state });
+          assert.ok(false);
+        } catch (error) {
+          assert.equal(error.error, 'access_denied');
+        }
+      });
+    });
+
+    module('when the callback does not contain a code', function () {
+      test('rejects', async function (assert) {
+        assert.expect(1);
+        try {
+          await authenticator.authenticate({ state });
+          assert.ok(false);
+        } catch (error) {
+          assert.equal(error.error_description, 'Invalid auth params - "code" missing.');
+        }
+      });
+    });
+  });
+
+  module('#renewSilently', function (hooks) {
+    let authorizationUrl;
+
+    hooks.beforeEach(function () {
+      authenticator.set('silentRenewalRedirectUri', 'https://app.example.com/silent-callback.html');
+      authenticator._authorizeInHiddenFrame = url => {
+        authorizationUrl = url;
+        let { state } = parseResponse(url);
+        return Promise.resolve(
+          `https://app.example.com/silent-callback.html?code=authorization%20code!&state=${state}`
+        );
+      };
+      server.post('/token', () => [
+        200,
+        { 'Content-Type': 'application/json' },
+        '{ "access_token": "secret token 2!", "expires_in": 12345 }',
+      ]);
+    });
+
+    test('loads an authorization request with "prompt=none"', async function (assert) {
+      await authenticator.renewSilently('profile');
+      let params = parseResponse(authorizationUrl);
+
+      assert.equal(params.response_type, 'code');
+      assert.equal(params.redirect_uri, 'https://app.example.com/silent-callback.html');
+      assert.equal(params.scope, 'profile');
+      assert.equal(params.prompt, 'none');
+    });
+
+    test('exchanges the code it receives for an access token', async function (assert) {
+      let updated;
+      authenticator.on('sessionDataUpdated', ({ detail }) => (updated = detail));
+
+      let data = await authenticator.renewSilently();
+      let body = parsePostData(server.handledRequests[0].requestBody);
+
+      assert.equal(body.code, 'authorization code!');
+      assert.equal(body.redirect_uri, 'https://app.example.com/silent-callback.html');
+      assert.equal(data.access_token, 'secret token 2!');
+      assert.deepEqual(updated, data);
+    });
+
+    test('does not keep the authorization request in the session storage', async function (assert) {
+      await authenticator.renewSilently();
+
+      assert.equal(sessionStorage.getItem(authenticator.authorizationRequestStorageKey), null);
+    });
+
+    test('triggers the "sessionDataInvalidated" event when the user needs to log in again', async function (assert) {
+      assert.expect(2);
+      let reason;
+      authenticator.on('sessionDataInvalidated', ({ detail }) => (reason = detail));
+      authenticator._authorizeInHiddenFrame = url => {
+        let { state } = parseResponse(url);
+        return Promise.resolve(
+          `https://app.example.com/silent-callback.html?error=login_required&state=${state}`
+        );
+      };
+
+      try {
+        await authenticator.renewSilently();
+      } catch (error) {
+        assert.equal(error.error, 'login_required');
+        assert.equal(reason, error);
+      }
+    });
+  });
+
+  module('#silentRenewalOffset', function () {
+    test('leaves enough time for the silent renewal to complete', function (assert) {
+      assert.equal(authenticator.get('silentRenewalOffset'), 30000);
+      assert.true(
+        authenticator.get('silentRenewalOffset') > authenticator.get('silentRenewalTimeout')
+      );
+    });
+  });
+
+  module('#invalidate', function () {
+    test('revokes the tokens like the password grant authenticator', async function (assert) {
+      assert.expect(2);
+      authenticator.serverTokenRevocationEndpoint = '/revoke';
+      server.post('/revoke', request => {
+        let body = parsePostData(request.requestBody);
+        assert.ok(['access_token', 'refresh_token'].includes(body.token_type_hint));
+
+        return [200, {}, ''];
+      });
+
+      await authenticator.invalidate({
+        access_token: 'access token!',
+        refresh_token: 'refresh token!',
+      });
+    });
+  });
+});
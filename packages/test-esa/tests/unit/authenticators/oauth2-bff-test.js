@@ -0,0 +1,162 @@
+import { setOwner } from '@ember/application';
+import Pretender from 'pretender';
+import OAuth2Bff from 'ember-simple-auth/authenticators/oauth2-bff';
+import { module, test } from 'qunit';
+import { setupTest } from 'ember-qunit';
+
+module('OAuth2BffAuthenticator', function (hooks) {
+  setupTest(hooks);
+
+  let authenticator;
+  let server;
+  let parsePostData = query => {
+    let result = {};
+    query.split('&').forEach(part => {
+      let item = part.split('=');
+      result[item[0]] = decodeURIComponent(item[1]);
+    });
+    return result;
+  };
+
+  hooks.beforeEach(function () {
+    authenticator = OAuth2Bff.create();
+    setOwner(authenticator, this.owner);
+    server = new Pretender();
+  });
+
+  hooks.afterEach(function () {
+    if (server) {
+      server.shutdown();
+    }
+  });
+
+  module('#authenticate', function () {
+    test('sends the credentials to the proxy', async function (assert) {
+      assert.expect(1);
+      server.post('/bff/token', request => {
+        let body = parsePostData(request.requestBody);
+
+        assert.deepEqual(body, {
+          grant_type: 'password',
+          username: 'username',
+          password: 'password',
+        });
+
+        return [200, { 'Content-Type': 'application/json' }, '{ "expires_in": 300 }'];
+      });
+
+      await authenticator.authenticate('username', 'password');
+    });
+
+    test('resolves with the expiry metadata only', async function (assert) {
+      server.post('/bff/token', () => [
+        200,
+        { 'Content-Type': 'application/json' },
+        '{ "expires_in": 300, "access_token": "leaked token!", "refresh_token": "leaked refresh token!" }',
+      ]);
+
+      let data = await authenticator.authenticate('username', 'password');
+
+      assert.true(data['expires_at'] > new Date().getTime());
+      assert.deepEqual(Object.keys(data).sort(), ['expires_at', 'expires_in']);
+    });
+
+    test('rejects when the proxy does not respond with the expiry', async function (assert) {
+      assert.expect(1);
+      server.post('/bff/token', () => [200, { 'Content-Type': 'application/json' }, '{}']);
+
+      try {
+        await authenticator.authenticate('username', 'password');
+        assert.ok(false);
+      } catch (error) {
+        assert.equal(error.error, 'invalid_response');
+      }
+    });
+  });
+
+  module('#restore', function () {
+    test('resolves when the tokens have not expired', async function (assert) {
+      let data = { expires_in: 300, expires_at: new Date().getTime() + 300000 };
+
+      assert.deepEqual(await authenticator.restore(data), data);
+    });
+
+    test('refreshes the tokens through the proxy when they have expired', async function (assert) {
+      assert.expect(3);
+      server.post('/bff/token', request => {
+        assert.deepEqual(parsePostData(request.requestBody), { grant_type: 'refresh_token' });
+
+        return [200, { 'Content-Type': 'application/json' }, '{ "expires_in": 300 }'];
+      });
+
+      let data = await authenticator.restore({ expires_in: 300, expires_at: 1 });
+
+      assert.equal(data['expires_in'], 300);
+      assert.true(data['expires_at'] > new Date().getTime());
+    });
+
+    test('rejects without expiry metadata', async function (assert) {
+      assert.expect(1);
+      try {
+        await authenticator.restore({});
+        assert.ok(false);
+      } catch (_error) {
+        assert.ok(true);
+      }
+    });
+  });
+
+  module('#invalidate', function () {
+    test('sends a request to the logout endpoint', async function (assert) {
+      server.post('/bff/logout', () => [204, {}, '']);
+
+      await authenticator.invalidate({ expires_in: 300 });
+
+      assert.equal(server.handledRequests.length, 1);
+      assert.equal(server.handledRequests[0].url, '/bff/logout');
+    });
+
+    test('rejects when the logout request fails', async function (assert) {
+      assert.expect(1);
+      server.post('/bff/logout', () => [500, { 'Content-Type': 'text/plain' }, 'Oops']);
+
+      try {
+        await authenticator.invalidate({ expires_in: 300 });
+        assert.ok(false);
+      } catch (error) {
+        assert.equal(error.status, 500);
+      }
+    });
+  });
+
+  // testing private API here ;(
+  module('#_refreshAccessToken', function () {
+    test('triggers the "sessionDataUpdated" event with the expiry metadata', async function (assert) {
+      assert.expect(1);
+      server.post('/bff/token', () => [
+        200,
+        { 'Content-Type': 'application/json' },
+        '{ "expires_in": 600 }',
+      ]);
+      authenticator.on('sessionDataUpdated', ({ detail: data }) => {
+        assert.equal(data['expires_in'], 600);
+      });
+
+      await authenticator._refreshAccessToken(300);
+    });
+
+    test('triggers the "sessionDataInvalidated" event when the proxy session has expired', async function (assert) {
+      assert.expect(1);
+      server.post('/bff/token', () => [
+        400,
+        { 'Content-Type': 'application/json' },
+        '{ "error": "invalid_grant" }',
+      ]);
+      authenticator.on('sessionDataInvalidated', ({ detail: reason }) => {
+        assert.equal(reason.error, 'invalid_grant');
+      });
+
+      await authenticator._refreshAccessToken(300).catch(() => {});
+    });
+  });
+});
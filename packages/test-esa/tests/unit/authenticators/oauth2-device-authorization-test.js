@@ -0,0 +1,224 @@
+import { setOwner } from '@ember/application';
+import Pretender from 'pretender';
+import OAuth2DeviceAuthorization from 'ember-simple-auth/authenticators/oauth2-device-authorization';
+import { module, test } from 'qunit';
+import { setupTest } from 'ember-qunit';
+
+module('OAuth2DeviceAuthorizationAuthenticator', function (hooks) {
+  setupTest(hooks);
+
+  let authenticator;
+  let server;
+  let parsePostData = query => {
+    let result = {};
+    query.split('&').forEach(part => {
+      let item = part.split('=');
+      result[item[0]] = decodeURIComponent(item[1]);
+    });
+    return result;
+  };
+  let deviceAuthorization = {
+    device_code: 'device code!',
+    user_code: 'WDJB-MJHT',
+    verification_uri: 'https://example.com/device',
+    expires_in: 1800,
+    interval: 0,
+  };
+  let respondWith = (...responses) => {
+    server.post('/token', () => {
+      let [status, body] = responses.length > 1 ? responses.shift() : responses[0];
+      return [status, { 'Content-Type': 'application/json' }, JSON.stringify(body)];
+    });
+  };
+
+  hooks.beforeEach(function () {
+    authenticator = OAuth2DeviceAuthorization.create();
+    setOwner(authenticator, this.owner);
+    server = new Pretender();
+  });
+
+  hooks.afterEach(function () {
+    authenticator.cancelDeviceAuthorization();
+    if (server) {
+      server.shutdown();
+    }
+  });
+
+  module('#requestDeviceAuthorization', function () {
+    test('sends a request to the device authorization endpoint', async function (assert) {
+      assert.expect(1);
+      server.post('/device_authorization', request => {
+        let body = parsePostData(request.requestBody);
+
+        assert.deepEqual(body, { client_id: 'test-client', scope: 'tv' });
+
+        return [200, { 'Content-Type': 'application/json' }, JSON.stringify(deviceAuthorization)];
+      });
+
+      authenticator.set('clientId', 'test-client');
+      await authenticator.requestDeviceAuthorization('tv');
+    });
+
+    test('resolves with the device authorization response', async function (assert) {
+      server.post('/device_authorization', () => [
+        200,
+        { 'Content-Type': 'application/json' },
+        JSON.stringify(deviceAuthorization),
+      ]);
+
+      let data = await authenticator.requestDeviceAuthorization();
+
+      assert.deepEqual(data, deviceAuthorization);
+    });
+
+    test('rejects when the response does not contain a user code', async function (assert) {
+      assert.expect(1);
+      server.post('/device_authorization', () => [
+        200,
+        { 'Content-Type': 'application/json' },
+        '{ "device_code": "device code!" }',
+      ]);
+
+      try {
+        await authenticator.requestDeviceAuthorization();
+        assert.ok(false);
+      } catch (error) {
+        assert.equal(
+          error.error_description,
+          'device_code or user_code is missing in server response'
+        );
+      }
+    });
+  });
+
+  module('#authenticate', function () {
+    test('polls the token endpoint with the device code', async function (assert) {
+      assert.expect(1);
+      server.post('/token', request => {
+        let body = parsePostData(request.requestBody);
+
+        assert.deepEqual(body, {
+          grant_type: 'urn:ietf:params:oauth:grant-type:device_code',
+          device_code: 'device code!',
+        });
+
+        return [200, { 'Content-Type': 'application/json' }, '{ "access_token": "secret token!" }'];
+      });
+
+      await authenticator.authenticate(deviceAuthorization);
+    });
+
+    test('keeps polling while the authorization is pending', async function (assert) {
+      respondWith(
+        [400, { error: 'authorization_pending' }],
+        [400, { error: 'authorization_pending' }],
+        [200, { access_token: 'secret token!', expires_in: 12345, refresh_token: 'refresh token!' }]
+      );
+
+      let data = await authenticator.authenticate(deviceAuthorization);
+
+      assert.equal(server.handledRequests.length, 3);
+      assert.true(data['expires_at'] > new Date().getTime());
+      delete data['expires_at'];
+      assert.deepEqual(data, {
+        access_token: 'secret token!',
+        expires_in: 12345,
+        refresh_token: 'refresh token!',
+      });
+    });
+
+    test('increases the interval when asked to slow down', async function (assert) {
+      respondWith([400, { error: 'slow_down' }]);
+
+      let promise = authenticator.authenticate(deviceAuthorization);
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      assert.equal(authenticator._devicePolling.interval, 5);
+      authenticator.cancelDeviceAuthorization();
+      await promise.catch(() => {});
+    });
+
+    test('rejects when the device code expired', async function (assert) {
+      assert.expect(1);
+      respondWith([400, { error: 'expired_token' }]);
+
+      try {
+        await authenticator.authenticate(deviceAuthorization);
+        assert.ok(false);
+      } catch (error) {
+        assert.equal(error.error, 'expired_token');
+      }
+    });
+
+    test('rejects when the user denied access', async function (assert) {
+      assert.expect(1);
+      respondWith([400, { error: 'authorization_pending' }], [400, { error: 'access_denied' }]);
+
+      try {
+        await authenticator.authenticate(deviceAuthorization);
+        assert.ok(false);
+      } catch (error) {
+        assert.equal(error.error, 'access_denied');
+      }
+    });
+
+    test('keeps polling after temporary failures', async function (assert) {
+      respondWith(
+        [503, {}],
+        [400, { error: 'authorization_pending' }],
+        [200, { access_token: 'secret token!' }]
+      );
+
+      let data = await authenticator.authenticate(deviceAuthorization);
+
+      assert.equal(server.handledRequests.length, 3);
+      assert.equal(data.access_token, 'secret token!');
+    });
+
+    test('rejects when the device code is invalid', async function (assert) {
+      assert.expect(1);
+      respondWith([400, { error: 'invalid_grant' }]);
+
+      try {
+        await authenticator.authenticate(deviceAuthorization);
+        assert.ok(false);
+      } catch (error) {
+        assert.equal(error.error, 'invalid_grant');
+      }
+    });
+
+    test('stops polling once the device code has expired locally', async function (assert) {
+      assert.expect(1);
+      respondWith([400, { error: 'authorization_pending' }]);
+
+      try {
+        await authenticator.authenticate(
+          Object.assign({}, deviceAuthorization, { expires_in: -1 })
+        );
+        assert.ok(false);
+      } catch (error) {
+        assert.equal(error.error, 'expired_token');
+      }
+    });
+  });
+
+  module('#cancelDeviceAuthorization', function () {
+    test('rejects the pending authentication and stops polling', async function (assert) {
+      assert.expect(2);
+      respondWith([400, { error: 'authorization_pending' }]);
+
+      let promise = authenticator.authenticate(
+        Object.assign({}, deviceAuthorization, { interval: 1 })
+      );
+      authenticator.cancelDeviceAuthorization();
+
+      try {
+        await promise;
+        assert.ok(false);
+      } catch (error) {
+        assert.equal(error.error, 'authorization_cancelled');
+      }
+      assert.equal(server.handledRequests.length, 0);
+    });
+  });
+});
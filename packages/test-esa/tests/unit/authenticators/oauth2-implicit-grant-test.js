@@ -1,7 +1,10 @@
+import { setOwner } from '@ember/application';
 import { module, test } from 'qunit';
+import { setupTest } from 'ember-qunit';
 import OAuth2ImplicitGrant, {
   parseResponse,
 } from 'ember-simple-auth/authenticators/oauth2-implicit-grant';
+import { OAuth2Error } from 'ember-simple-auth/errors';
 
 module('OAuth2ImplicitGrantAuthenticator', function (hooks) {
   let authenticator;
@@ -43,19 +46,142 @@ module('OAuth2ImplicitGrantAuthenticator', function (hooks) {
             await authenticator.restore();
             assert.ok(false);
           } catch (error) {
-            assert.equal(error, 'Could not restore session - "access_token" missing.');
+            assert.equal(
+              error.error_description,
+              'Could not restore session - "access_token" missing.'
+            );
           }
         });
       });
     });
+
+    module('when the data contains an expiration', function (hooks) {
+      setupTest(hooks);
+
+      hooks.beforeEach(function () {
+        setOwner(authenticator, this.owner);
+      });
+
+      test('resolves with the correct data when the access_token has not expired', async function (assert) {
+        let _data = { ...data, expires_at: new Date().getTime() + 60000 };
+
+        assert.equal(await authenticator.restore(_data), _data);
+      });
+
+      test('rejects when the access_token has expired', async function (assert) {
+        assert.expect(2);
+        try {
+          await authenticator.restore({ ...data, expires_at: new Date().getTime() - 1000 });
+          assert.ok(false);
+        } catch (error) {
+          assert.equal(error.error, 'invalid_token');
+          assert.equal(error.error_description, 'access_token has expired');
+        }
+      });
+    });
   });
 
-  module('#authenticate', function () {
+  module('#buildAuthorizationUrl', function (hooks) {
+    hooks.beforeEach(function () {
+      authenticator.setProperties({
+        clientId: 'test-client',
+        redirectUri: 'https://app.example.com/callback',
+        serverAuthorizationEndpoint: 'https://auth.example.com/authorize',
+      });
+    });
+
+    hooks.afterEach(function () {
+      sessionStorage.removeItem('ember_simple_auth-implicit-grant-request');
+    });
+
+    test('builds the authorization URL', function (assert) {
+      let url = authenticator.buildAuthorizationUrl(['openid', 'email'], { login_hint: 'user' });
+      let params = parseResponse(url);
+
+      assert.true(url.startsWith('https://auth.example.com/authorize?'));
+      assert.equal(params.response_type, 'token');
+      assert.equal(params.client_id, 'test-client');
+      assert.equal(params.redirect_uri, 'https://app.example.com/callback');
+      assert.equal(params.scope, 'openid email');
+      assert.equal(params.login_hint, 'user');
+    });
+
+    test('stores the state and nonce sent with the request', function (assert) {
+      let params = parseResponse(authenticator.buildAuthorizationUrl());
+      let request = JSON.parse(sessionStorage.getItem('ember_simple_auth-implicit-grant-request'));
+
+      assert.ok(params.state);
+      assert.ok(params.nonce);
+      assert.deepEqual(request, { state: params.state, nonce: params.nonce });
+    });
+
+    test('does not let additional parameters override the state or nonce', function (assert) {
+      let params = parseResponse(
+        authenticator.buildAuthorizationUrl([], { state: 'state!', nonce: 'nonce!' })
+      );
+      let request = JSON.parse(sessionStorage.getItem('ember_simple_auth-implicit-grant-request'));
+
+      assert.notEqual(params.state, 'state!');
+      assert.notEqual(params.nonce, 'nonce!');
+      assert.deepEqual(request, { state: params.state, nonce: params.nonce });
+    });
+
+    test('generates a new state and nonce for every request', function (assert) {
+      let first = parseResponse(authenticator.buildAuthorizationUrl());
+      let second = parseResponse(authenticator.buildAuthorizationUrl());
+
+      assert.notEqual(first.state, second.state);
+      assert.notEqual(first.nonce, second.nonce);
+    });
+  });
+
+  module('#authenticate', function (hooks) {
+    let request;
+
+    let encode = value => btoa(JSON.stringify(value)).replace(/=+$/, '');
+    let idToken = nonce => `${encode({ alg: 'RS256' })}.${encode({ nonce })}.c2lnbmF0dXJl`;
+
+    hooks.beforeEach(function () {
+      request = parseResponse(authenticator.buildAuthorizationUrl());
+    });
+
+    hooks.afterEach(function () {
+      sessionStorage.removeItem('ember_simple_auth-implicit-grant-request');
+    });
+
     module('when the data contains an access_token', function () {
       test('resolves with the correct data', async function (assert) {
-        let _data = await authenticator.authenticate(data);
+        let hash = { ...data, state: request.state };
+        let _data = await authenticator.authenticate(hash);
 
-        assert.equal(_data, data);
+        assert.equal(_data, hash);
+      });
+
+      test('removes the stored request', async function (assert) {
+        await authenticator.authenticate({ ...data, state: request.state });
+
+        assert.equal(sessionStorage.getItem('ember_simple_auth-implicit-grant-request'), null);
+      });
+    });
+
+    module('when the data contains an expires_in', function (hooks) {
+      setupTest(hooks);
+
+      hooks.beforeEach(function () {
+        setOwner(authenticator, this.owner);
+      });
+
+      test('resolves with the absolute expiration', async function (assert) {
+        let now = new Date().getTime();
+        let _data = await authenticator.authenticate({
+          ...data,
+          expires_in: '3600',
+          state: request.state,
+        });
+
+        assert.equal(_data.access_token, 'secret-token');
+        assert.ok(_data.expires_at >= now + 3600000);
+        assert.ok(_data.expires_at <= new Date().getTime() + 3600000);
       });
     });
 
@@ -63,10 +189,10 @@ module('OAuth2ImplicitGrantAuthenticator', function (hooks) {
       test('rejects with an error', async function (assert) {
         assert.expect(1);
         try {
-          await authenticator.authenticate({ foo: 'bar' });
+          await authenticator.authenticate({ foo: 'bar', state: request.state });
           assert.ok(false);
         } catch (error) {
-          assert.equal(error, 'Invalid auth params - "access_token" missing.');
+          assert.equal(error.error_description, 'Invalid auth params - "access_token" missing.');
         }
       });
     });
@@ -75,13 +201,205 @@ module('OAuth2ImplicitGrantAuthenticator', function (hooks) {
       test('rejects with that error', async function (assert) {
         assert.expect(1);
         try {
-          await authenticator.authenticate({ error: 'access_denied' });
+          await authenticator.authenticate({ error: 'access_denied', state: request.state });
           assert.ok(false);
         } catch (error) {
-          assert.equal(error, 'access_denied');
+          assert.equal(error.error, 'access_denied');
         }
       });
     });
+
+    module('when the state does not match', function () {
+      test('rejects with an "invalid_state" error', async function (assert) {
+        assert.expect(1);
+        try {
+          await authenticator.authenticate({ ...data, state: 'other' });
+          assert.ok(false);
+        } catch (error) {
+          assert.equal(error.error, 'invalid_state');
+        }
+      });
+    });
+
+    module('when no authorization request was made', function () {
+      test('rejects with an "invalid_state" error', async function (assert) {
+        assert.expect(1);
+        sessionStorage.removeItem('ember_simple_auth-implicit-grant-request');
+
+        try {
+          await authenticator.authenticate({ ...data, state: request.state });
+          assert.ok(false);
+        } catch (error) {
+          assert.equal(error.error, 'invalid_state');
+        }
+      });
+    });
+
+    module('when the data contains an ID token', function () {
+      test('resolves when its nonce matches', async function (assert) {
+        let hash = { ...data, id_token: idToken(request.nonce), state: request.state };
+        let _data = await authenticator.authenticate(hash);
+
+        assert.equal(_data, hash);
+      });
+
+      test('rejects with an "invalid_nonce" error when its nonce does not match', async function (assert) {
+        assert.expect(1);
+        try {
+          await authenticator.authenticate({
+            ...data,
+            id_token: idToken('other'),
+            state: request.state,
+          });
+          assert.ok(false);
+        } catch (error) {
+          assert.equal(error.error, 'invalid_nonce');
+        }
+      });
+
+      test('rejects with an "invalid_nonce" error when it is malformed', async function (assert) {
+        assert.expect(1);
+        try {
+          await authenticator.authenticate({
+            ...data,
+            id_token: 'malformed',
+            state: request.state,
+          });
+          assert.ok(false);
+        } catch (error) {
+          assert.equal(error.error, 'invalid_nonce');
+        }
+      });
+    });
+  });
+
+  module('#renewSilently', function (hooks) {
+    setupTest(hooks);
+
+    let authorizationUrl;
+
+    hooks.beforeEach(function () {
+      setOwner(authenticator, this.owner);
+      authenticator.setProperties({
+        clientId: 'test-client',
+        serverAuthorizationEndpoint: 'https://auth.example.com/authorize',
+        silentRenewalRedirectUri: 'https://app.example.com/silent-callback.html',
+      });
+      authenticator._authorizeInHiddenFrame = url => {
+        authorizationUrl = url;
+        let { state } = parseResponse(url);
+        return Promise.resolve(
+          `https://app.example.com/silent-callback.html#access_token=secret-token-2&expires_in=3600&state=${state}`
+        );
+      };
+    });
+
+    test('loads an authorization request with "prompt=none"', async function (assert) {
+      await authenticator.renewSilently('profile');
+      let params = parseResponse(authorizationUrl);
+
+      assert.true(authorizationUrl.startsWith('https://auth.example.com/authorize?'));
+      assert.equal(params.response_type, 'token');
+      assert.equal(params.client_id, 'test-client');
+      assert.equal(params.redirect_uri, 'https://app.example.com/silent-callback.html');
+      assert.equal(params.scope, 'profile');
+      assert.equal(params.prompt, 'none');
+      assert.ok(params.state);
+      assert.ok(params.nonce);
+    });
+
+    test('resolves with the new data and triggers the "sessionDataUpdated" event', async function (assert) {
+      let updated;
+      authenticator.on('sessionDataUpdated', ({ detail }) => (updated = detail));
+
+      let data = await authenticator.renewSilently();
+
+      assert.equal(data.access_token, 'secret-token-2');
+      assert.ok(data.expires_at > new Date().getTime());
+      assert.deepEqual(updated, data);
+    });
+
+    test('rejects when the state does not match', async function (assert) {
+      assert.expect(1);
+      authenticator._authorizeInHiddenFrame = () =>
+        Promise.resolve(
+          'https://app.example.com/silent-callback.html#access_token=secret&state=other'
+        );
+
+      try {
+        await authenticator.renewSilently();
+        assert.ok(false);
+      } catch (error) {
+        assert.equal(error.error, 'invalid_state');
+      }
+    });
+
+    module('when the user needs to log in again', function (hooks) {
+      hooks.beforeEach(function () {
+        authenticator._authorizeInHiddenFrame = url => {
+          let { state } = parseResponse(url);
+          return Promise.resolve(
+            `https://app.example.com/silent-callback.html#error=login_required&state=${state}`
+          );
+        };
+      });
+
+      test('triggers the "sessionDataInvalidated" event with the error', async function (assert) {
+        assert.expect(2);
+        let reason;
+        authenticator.on('sessionDataInvalidated', ({ detail }) => (reason = detail));
+
+        try {
+          await authenticator.renewSilently();
+        } catch (error) {
+          assert.equal(error.error, 'login_required');
+          assert.equal(reason, error);
+        }
+      });
+    });
+
+    module('when the authorization server does not respond', function (hooks) {
+      hooks.beforeEach(function () {
+        authenticator._authorizeInHiddenFrame = () => Promise.reject(new OAuth2Error('timeout'));
+      });
+
+      test('triggers the "tokenRefreshFailed" event', async function (assert) {
+        assert.expect(2);
+        let invalidated = false;
+        let reason;
+        authenticator.on('sessionDataInvalidated', () => (invalidated = true));
+        authenticator.on('tokenRefreshFailed', ({ detail }) => (reason = detail));
+
+        try {
+          await authenticator.renewSilently();
+        } catch (_error) {
+          assert.equal(reason.error, 'timeout');
+          assert.false(invalidated);
+        }
+      });
+    });
+  });
+
+  // testing private API here ;(
+  module('#silentRenewalOffset', function () {
+    test('leaves enough time for the silent renewal to complete', function (assert) {
+      assert.equal(authenticator.get('silentRenewalOffset'), 30000);
+      assert.true(
+        authenticator.get('silentRenewalOffset') > authenticator.get('silentRenewalTimeout')
+      );
+    });
+  });
+
+  module('#_handleExpiration', function () {
+    test('triggers the "sessionDataInvalidated" event', function (assert) {
+      let reason;
+      authenticator.on('sessionDataInvalidated', ({ detail }) => (reason = detail));
+
+      authenticator._handleExpiration();
+
+      assert.equal(reason.error, 'invalid_token');
+      assert.equal(reason.error_description, 'access_token has expired');
+    });
   });
 
   module('#invalidate', function () {
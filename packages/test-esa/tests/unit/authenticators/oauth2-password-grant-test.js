@@ -2,6 +2,7 @@ import { computed } from '@ember/object';
 import { setOwner } from '@ember/application';
 import Pretender from 'pretender';
 import OAuth2PasswordGrant from 'ember-simple-auth/authenticators/oauth2-password-grant';
+import { OAuth2Error } from 'ember-simple-auth/errors';
 import { module, test } from 'qunit';
 import { setupTest } from 'ember-qunit';
 
@@ -93,12 +94,13 @@ module('OAuth2PasswordGrantAuthenticator', function (hooks) {
           });
 
           test('returns a rejecting promise', async function (assert) {
-            assert.expect(1);
+            assert.expect(2);
             try {
               await authenticator.restore({ access_token: 'secret token!', expires_at: 1 });
               assert.ok(false);
-            } catch (_error) {
-              assert.ok(true);
+            } catch (error) {
+              assert.true(error instanceof OAuth2Error);
+              assert.equal(error.error, 'invalid_session');
             }
           });
         });
@@ -116,12 +118,13 @@ module('OAuth2PasswordGrantAuthenticator', function (hooks) {
 
       module('when the data does not contain an access_token', function () {
         test('returns a rejecting promise', async function (assert) {
-          assert.expect(1);
+          assert.expect(2);
           try {
             await authenticator.restore();
             assert.ok(false);
-          } catch (_error) {
-            assert.ok(true);
+          } catch (error) {
+            assert.true(error instanceof OAuth2Error);
+            assert.equal(error.error, 'invalid_session');
           }
         });
       });
@@ -148,6 +151,188 @@ module('OAuth2PasswordGrantAuthenticator', function (hooks) {
         });
       });
     });
+
+    module('when token introspection is enabled', function (hooks) {
+      let exp;
+
+      hooks.beforeEach(function () {
+        authenticator.set('serverTokenIntrospectionEndpoint', '/introspect');
+        exp = Math.floor(new Date().getTime() / 1000) + 600;
+      });
+
+      test('sends an introspection request for the access token', async function (assert) {
+        assert.expect(1);
+        server.post('/introspect', request => {
+          let body = parsePostData(request.requestBody);
+
+          assert.deepEqual(body, { token: 'secret token!', token_type_hint: 'access_token' });
+
+          return [200, { 'Content-Type': 'application/json' }, '{ "active": true }'];
+        });
+
+        await authenticator.restore({ access_token: 'secret token!' });
+      });
+
+      test('merges the introspection response into the data', async function (assert) {
+        server.post('/introspect', () => [
+          200,
+          { 'Content-Type': 'application/json' },
+          JSON.stringify({ active: true, scope: 'read write', sub: 'user-1', exp }),
+        ]);
+
+        let data = await authenticator.restore({
+          access_token: 'secret token!',
+          refresh_token: 'refresh token!',
+        });
+
+        assert.deepEqual(data, {
+          access_token: 'secret token!',
+          refresh_token: 'refresh token!',
+          scope: 'read write',
+          sub: 'user-1',
+          expires_at: exp * 1000,
+        });
+      });
+
+      test('caches the introspection response', async function (assert) {
+        server.post('/introspect', () => [
+          200,
+          { 'Content-Type': 'application/json' },
+          '{ "active": true }',
+        ]);
+
+        await authenticator.restore({ access_token: 'secret token!' });
+        await authenticator.restore({ access_token: 'secret token!' });
+
+        assert.equal(server.handledRequests.length, 1);
+      });
+
+      test('does not cache the introspection response when caching is disabled', async function (assert) {
+        authenticator.set('tokenIntrospectionCacheTime', 0);
+        server.post('/introspect', () => [
+          200,
+          { 'Content-Type': 'application/json' },
+          '{ "active": true }',
+        ]);
+
+        await authenticator.restore({ access_token: 'secret token!' });
+        await authenticator.restore({ access_token: 'secret token!' });
+
+        assert.equal(server.handledRequests.length, 2);
+      });
+
+      test('restores the session when the introspection request fails', async function (assert) {
+        server.post('/introspect', () => [503, { 'Content-Type': 'text/plain' }, '']);
+
+        let data = await authenticator.restore({ access_token: 'secret token!' });
+
+        assert.deepEqual(data, { access_token: 'secret token!' });
+      });
+
+      module('when the access token is not active', function (hooks) {
+        hooks.beforeEach(function () {
+          server.post('/introspect', () => [
+            200,
+            { 'Content-Type': 'application/json' },
+            '{ "active": false }',
+          ]);
+        });
+
+        test('rejects', async function (assert) {
+          assert.expect(1);
+          authenticator.set('refreshAccessTokens', false);
+
+          try {
+            await authenticator.restore({
+              access_token: 'secret token!',
+              refresh_token: 'refresh token!',
+            });
+            assert.ok(false);
+          } catch (error) {
+            assert.equal(error.error, 'invalid_token');
+          }
+        });
+
+        test('refreshes the access token', async function (assert) {
+          server.post('/token', () => [
+            200,
+            { 'Content-Type': 'application/json' },
+            '{ "access_token": "secret token 2!", "expires_in": 67890 }',
+          ]);
+
+          let data = await authenticator.restore({
+            access_token: 'secret token!',
+            refresh_token: 'refresh token!',
+          });
+
+          assert.equal(data.access_token, 'secret token 2!');
+        });
+      });
+    });
+
+    module('when memory-only access tokens are enabled', function (hooks) {
+      hooks.beforeEach(function () {
+        authenticator.set('memoryOnlyAccessTokens', true);
+        server.post('/token', () => [
+          200,
+          { 'Content-Type': 'application/json' },
+          '{ "access_token": "secret token 2!", "expires_in": 67890, "refresh_token": "refresh token 2!" }',
+        ]);
+      });
+
+      test('exchanges the refresh token for a new access token', async function (assert) {
+        let data = await authenticator.restore({
+          expires_in: 12345,
+          refresh_token: 'refresh token!',
+        });
+        let [request] = server.handledRequests;
+
+        assert.equal(parsePostData(request.requestBody).refresh_token, 'refresh token!');
+        assert.equal(data.access_token, 'secret token 2!');
+        assert.equal(data.refresh_token, 'refresh token 2!');
+      });
+
+      test('rejects when there is no refresh token', async function (assert) {
+        assert.expect(2);
+        try {
+          await authenticator.restore({ expires_in: 12345 });
+          assert.ok(false);
+        } catch (error) {
+          assert.equal(error.error, 'invalid_session');
+        }
+        assert.equal(server.handledRequests.length, 0);
+      });
+
+      module('when the session still holds a valid access token', function (hooks) {
+        let expiresAt;
+
+        hooks.beforeEach(function () {
+          expiresAt = new Date().getTime() + 12345 * 1000;
+          this.owner.lookup('session:main').set('content.authenticated', {
+            authenticator: 'authenticator:oauth2',
+            access_token: 'secret token!',
+            expires_in: 12345,
+            expires_at: expiresAt,
+            refresh_token: 'refresh token!',
+          });
+        });
+
+        test('keeps the access token and adopts the stored refresh token', async function (assert) {
+          let data = await authenticator.restore({
+            expires_in: 12345,
+            refresh_token: 'refresh token 2!',
+          });
+
+          assert.equal(server.handledRequests.length, 0);
+          assert.deepEqual(data, {
+            access_token: 'secret token!',
+            expires_in: 12345,
+            expires_at: expiresAt,
+            refresh_token: 'refresh token 2!',
+          });
+        });
+      });
+    });
   });
 
   module('#authenticate', function () {
@@ -228,6 +413,24 @@ module('OAuth2PasswordGrantAuthenticator', function (hooks) {
       await authenticator.authenticate('username', 'password', ['public', 'private']);
     });
 
+    test('sends additional parameters to the token endpoint', async function (assert) {
+      assert.expect(1);
+      server.post('/token', request => {
+        let body = parsePostData(request.requestBody);
+
+        assert.deepEqual(body, {
+          grant_type: 'password',
+          username: 'username',
+          password: 'password',
+          otp: '123456',
+        });
+
+        return [200, { 'Content-Type': 'application/json' }, '{ "access_token": "secret token!" }'];
+      });
+
+      await authenticator.authenticate('username', 'password', [], {}, { otp: '123456' });
+    });
+
     module('when the authentication request is successful', function (hooks) {
       hooks.beforeEach(function () {
         server.post('/token', () => [
@@ -267,7 +470,7 @@ module('OAuth2PasswordGrantAuthenticator', function (hooks) {
       });
 
       module('when the server response is missing access_token', function () {
-        test('fails with a string describing the issue', async function (assert) {
+        test('fails with an OAuth2Error describing the issue', async function (assert) {
           assert.expect(1);
           server.post('/token', () => [200, { 'Content-Type': 'application/json' }, '{}']);
 
@@ -275,13 +478,13 @@ module('OAuth2PasswordGrantAuthenticator', function (hooks) {
             await authenticator.authenticate('username', 'password');
             assert.ok(false);
           } catch (error) {
-            assert.equal(error, 'access_token is missing in server response');
+            assert.equal(error.error_description, 'access_token is missing in server response');
           }
         });
       });
 
       module('but the response is not valid JSON', function () {
-        test('fails with the string of the response', async function (assert) {
+        test('fails with an OAuth2Error carrying the text of the response', async function (assert) {
           assert.expect(1);
           server.post('/token', () => [
             200,
@@ -308,6 +511,18 @@ module('OAuth2PasswordGrantAuthenticator', function (hooks) {
         ]);
       });
 
+      test('rejects with an OAuth2Error', async function (assert) {
+        assert.expect(3);
+        try {
+          await authenticator.authenticate('username', 'password');
+          assert.ok(false);
+        } catch (error) {
+          assert.ok(error instanceof OAuth2Error);
+          assert.equal(error.error, 'invalid_grant');
+          assert.equal(error.status, 400);
+        }
+      });
+
       test('rejects with response object containing responseJSON', async function (assert) {
         assert.expect(1);
         try {
@@ -324,7 +539,7 @@ module('OAuth2PasswordGrantAuthenticator', function (hooks) {
           await authenticator.authenticate('username', 'password');
           assert.ok(false);
         } catch (error) {
-          assert.equal(error.headers.get('x-custom-context'), 'foobar');
+          assert.equal(error.response.headers.get('x-custom-context'), 'foobar');
         }
       });
     });
@@ -355,12 +570,136 @@ module('OAuth2PasswordGrantAuthenticator', function (hooks) {
           await authenticator.authenticate('username', 'password');
           assert.ok(false);
         } catch (error) {
-          assert.equal(error.headers.get('X-Custom-Context'), 'foobar');
+          assert.equal(error.response.headers.get('X-Custom-Context'), 'foobar');
         }
       });
     });
   });
 
+  module('#authenticateWithGrant', function () {
+    test('sends the grant type and parameters to the token endpoint', async function (assert) {
+      assert.expect(1);
+      server.post('/token', request => {
+        let body = parsePostData(request.requestBody);
+
+        assert.deepEqual(body, {
+          client_id: 'test-client',
+          grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+          assertion: 'assertion!',
+          scope: 'public private',
+        });
+
+        return [200, { 'Content-Type': 'application/json' }, '{ "access_token": "secret token!" }'];
+      });
+
+      authenticator.set('clientId', 'test-client');
+      await authenticator.authenticateWithGrant(
+        'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        { assertion: 'assertion!' },
+        ['public', 'private']
+      );
+    });
+
+    test('does not allow the parameters to override the grant type', async function (assert) {
+      assert.expect(1);
+      server.post('/token', request => {
+        let { grant_type } = parsePostData(request.requestBody);
+
+        assert.equal(grant_type, 'urn:ietf:params:oauth:grant-type:token-exchange');
+
+        return [200, { 'Content-Type': 'application/json' }, '{ "access_token": "secret token!" }'];
+      });
+
+      await authenticator.authenticateWithGrant('urn:ietf:params:oauth:grant-type:token-exchange', {
+        grant_type: 'password',
+        subject_token: 'subject token!',
+      });
+    });
+
+    test('resolves with the correct data', async function (assert) {
+      server.post('/token', () => [
+        200,
+        { 'Content-Type': 'application/json' },
+        '{ "access_token": "secret token!", "expires_in": 12345, "refresh_token": "refresh token!" }',
+      ]);
+
+      let data = await authenticator.authenticateWithGrant('custom', { device_id: 'device!' });
+
+      assert.true(data['expires_at'] > new Date().getTime());
+      delete data['expires_at'];
+      assert.deepEqual(data, {
+        access_token: 'secret token!',
+        expires_in: 12345,
+        refresh_token: 'refresh token!',
+      });
+    });
+
+    test('rejects with the server response when the grant fails', async function (assert) {
+      assert.expect(1);
+      server.post('/token', () => [
+        400,
+        { 'Content-Type': 'application/json' },
+        '{ "error": "invalid_grant" }',
+      ]);
+
+      try {
+        await authenticator.authenticateWithGrant('custom');
+        assert.ok(false);
+      } catch (error) {
+        assert.deepEqual(error.responseJSON, { error: 'invalid_grant' });
+      }
+    });
+  });
+
+  module('#getValidAccessToken', function (hooks) {
+    hooks.beforeEach(function () {
+      server.post('/token', () => [
+        200,
+        { 'Content-Type': 'application/json' },
+        '{ "access_token": "secret token 2!", "expires_in": 67890 }',
+      ]);
+    });
+
+    test('resolves with the access token when it remains valid', async function (assert) {
+      let accessToken = await authenticator.getValidAccessToken(
+        { access_token: 'secret token!', expires_at: new Date().getTime() + 60000 },
+        30
+      );
+
+      assert.equal(accessToken, 'secret token!');
+      assert.equal(server.handledRequests.length, 0);
+    });
+
+    test('refreshes the access token when it expires too soon', async function (assert) {
+      let data = {
+        access_token: 'secret token!',
+        expires_at: new Date().getTime() + 20000,
+        refresh_token: 'refresh token!',
+      };
+
+      let accessTokens = await Promise.all([
+        authenticator.getValidAccessToken(data, 30),
+        authenticator.getValidAccessToken(data, 30),
+      ]);
+
+      assert.deepEqual(accessTokens, ['secret token 2!', 'secret token 2!']);
+      assert.equal(server.handledRequests.length, 1);
+    });
+
+    test('rejects when the access token has expired and cannot be refreshed', async function (assert) {
+      assert.expect(1);
+      try {
+        await authenticator.getValidAccessToken({
+          access_token: 'secret token!',
+          expires_at: new Date().getTime() - 1000,
+        });
+        assert.ok(false);
+      } catch (error) {
+        assert.equal(error.error_description, 'access_token has expired');
+      }
+    });
+  });
+
   module('#invalidate', function () {
     function itSuccessfullyInvalidatesTheSession() {
       test('returns a resolving promise', async function (assert) {
@@ -434,6 +773,78 @@ module('OAuth2PasswordGrantAuthenticator', function (hooks) {
             refresh_token: 'refresh token!',
           });
         });
+
+        test('revokes the tokens in the configured order', async function (assert) {
+          server.post('/revoke', () => [200, {}, '{}']);
+          authenticator.set('tokenRevocationOrder', ['refresh_token', 'access_token']);
+
+          await authenticator.invalidate({
+            access_token: 'access token!',
+            refresh_token: 'refresh token!',
+          });
+
+          assert.deepEqual(
+            server.handledRequests.map(
+              request => parsePostData(request.requestBody).token_type_hint
+            ),
+            ['refresh_token', 'access_token']
+          );
+        });
+      });
+
+      module('when the token revocation policy is "strict"', function (hooks) {
+        hooks.beforeEach(function () {
+          authenticator.set('tokenRevocationPolicy', 'strict');
+        });
+
+        module('when the revokation request is successful', function (hooks) {
+          hooks.beforeEach(function () {
+            server.post('/revoke', () => [200, {}, '{}']);
+          });
+
+          itSuccessfullyInvalidatesTheSession();
+        });
+
+        module('when the revokation request fails', function (hooks) {
+          hooks.beforeEach(function () {
+            server.post('/revoke', () => [
+              503,
+              { 'Content-Type': 'application/json' },
+              '{ "error": "temporarily_unavailable" }',
+            ]);
+          });
+
+          test('rejects with the response', async function (assert) {
+            assert.expect(1);
+            try {
+              await authenticator.invalidate({ access_token: 'access token!' });
+              assert.ok(false);
+            } catch (error) {
+              assert.deepEqual(error.responseJSON, { error: 'temporarily_unavailable' });
+            }
+          });
+
+          test('does not revoke the remaining tokens', async function (assert) {
+            await authenticator
+              .invalidate({ access_token: 'access token!', refresh_token: 'refresh token!' })
+              .catch(() => {});
+
+            assert.equal(server.handledRequests.length, 1);
+          });
+        });
+      });
+
+      module('when the token revocation policy is "fire-and-forget"', function (hooks) {
+        hooks.beforeEach(function () {
+          authenticator.set('tokenRevocationPolicy', 'fire-and-forget');
+          server.post('/revoke', () => [
+            503,
+            { 'Content-Type': 'application/json' },
+            '{ "error": "temporarily_unavailable" }',
+          ]);
+        });
+
+        itSuccessfullyInvalidatesTheSession();
       });
     });
 
@@ -442,33 +853,425 @@ module('OAuth2PasswordGrantAuthenticator', function (hooks) {
     });
   });
 
-  module('#tokenRefreshOffset', function () {
-    test('returns a number between 5000 and 10000', function (assert) {
-      assert.true(authenticator.get('tokenRefreshOffset') >= 5000);
-      assert.true(authenticator.get('tokenRefreshOffset') < 10000);
-    });
-
-    test('can be overridden in a subclass', function (assert) {
-      let authenticator = OAuth2PasswordGrant.extend({
-        tokenRefreshOffset: computed(function () {
-          return 42;
-        }),
-      }).create();
+  module('with JWT access tokens', function (hooks) {
+    let now = Math.floor(new Date().getTime() / 1000);
+    let jwt = claims => {
+      let encode = value =>
+        btoa(JSON.stringify(value)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+      return `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}.signature`;
+    };
 
-      assert.equal(authenticator.get('tokenRefreshOffset'), 42);
+    hooks.beforeEach(function () {
+      authenticator.set('jwtAccessTokens', true);
     });
-  });
 
-  // testing private API here ;(
-  module('#_refreshAccessToken', function () {
-    test('sends an AJAX request to the token endpoint2', async function (assert) {
-      assert.expect(1);
-      server.post('/token', request => {
-        let { requestBody } = request;
-        let body = parsePostData(requestBody);
+    module('#authenticate', function () {
+      test('reads the expiration from the access token', async function (assert) {
+        let accessToken = jwt({ sub: 'user', iat: now, exp: now + 600 });
+        server.post('/token', () => [
+          200,
+          { 'Content-Type': 'application/json' },
+          JSON.stringify({ access_token: accessToken, refresh_token: 'refresh token!' }),
+        ]);
 
-        assert.deepEqual(body, {
-          grant_type: 'refresh_token',
+        let data = await authenticator.authenticate('username', 'password');
+
+        assert.deepEqual(data, {
+          access_token: accessToken,
+          refresh_token: 'refresh token!',
+          expires_in: 600,
+          expires_at: (now + 600) * 1000,
+        });
+      });
+
+      test('prefers the expiration in the server response', async function (assert) {
+        let accessToken = jwt({ sub: 'user', iat: now, exp: now + 600 });
+        server.post('/token', () => [
+          200,
+          { 'Content-Type': 'application/json' },
+          JSON.stringify({ access_token: accessToken, expires_in: 60 }),
+        ]);
+
+        let data = await authenticator.authenticate('username', 'password');
+
+        assert.equal(data.expires_in, 60);
+        assert.true(data.expires_at < (now + 600) * 1000);
+      });
+
+      test('rejects malformed access tokens', async function (assert) {
+        assert.expect(1);
+        server.post('/token', () => [
+          200,
+          { 'Content-Type': 'application/json' },
+          '{ "access_token": "not a jwt" }',
+        ]);
+
+        try {
+          await authenticator.authenticate('username', 'password');
+          assert.ok(false);
+        } catch (error) {
+          assert.equal(error.error_description, 'access_token is not a valid JWT');
+        }
+      });
+    });
+
+    module('#restore', function () {
+      test('resolves when the access token has not expired', async function (assert) {
+        let data = { access_token: jwt({ exp: now + 600 }) };
+
+        assert.deepEqual(await authenticator.restore(data), data);
+      });
+
+      test('rejects malformed access tokens', async function (assert) {
+        assert.expect(1);
+        try {
+          await authenticator.restore({ access_token: 'not a jwt' });
+          assert.ok(false);
+        } catch (error) {
+          assert.equal(error.error_description, 'access_token is not a valid JWT');
+        }
+      });
+
+      module('when the access token has expired', function () {
+        test('refreshes the access token', async function (assert) {
+          server.post('/token', () => [
+            200,
+            { 'Content-Type': 'application/json' },
+            JSON.stringify({ access_token: jwt({ iat: now, exp: now + 600 }) }),
+          ]);
+
+          let data = await authenticator.restore({
+            access_token: jwt({ exp: now - 600 }),
+            refresh_token: 'refresh token!',
+          });
+
+          assert.equal(data.expires_at, (now + 600) * 1000);
+          assert.equal(data.expires_in, 600);
+        });
+
+        test('rejects when automatic token refreshing is disabled', async function (assert) {
+          assert.expect(1);
+          authenticator.set('refreshAccessTokens', false);
+
+          try {
+            await authenticator.restore({ access_token: jwt({ exp: now - 600 }) });
+            assert.ok(false);
+          } catch (_error) {
+            assert.ok(true);
+          }
+        });
+      });
+    });
+  });
+
+  module('client authentication', function (hooks) {
+    let requests;
+
+    hooks.beforeEach(function () {
+      requests = [];
+      authenticator.set('clientId', 'test client');
+      authenticator.set('clientSecret', 'secret!');
+      server.post('/token', request => {
+        requests.push(request);
+        return [200, { 'Content-Type': 'application/json' }, '{ "access_token": "secret token!" }'];
+      });
+    });
+
+    test('sends the client secret in the request body with "client_secret_post"', async function (assert) {
+      authenticator.set('clientAuthentication', 'client_secret_post');
+
+      await authenticator.authenticate('username', 'password');
+
+      let body = parsePostData(requests[0].requestBody);
+      assert.equal(body.client_id, 'test client');
+      assert.equal(body.client_secret, 'secret!');
+    });
+
+    test('sends the client credentials via HTTP Basic authentication with "client_secret_basic"', async function (assert) {
+      authenticator.set('clientAuthentication', 'client_secret_basic');
+
+      await authenticator.authenticate('username', 'password');
+
+      let body = parsePostData(requests[0].requestBody);
+      assert.equal(
+        requests[0].requestHeaders['Authorization'],
+        `Basic ${btoa('test+client:secret!')}`
+      );
+      assert.notOk('client_id' in body);
+      assert.notOk('client_secret' in body);
+    });
+
+    test('authenticates refresh and revocation requests as well', async function (assert) {
+      authenticator.set('clientAuthentication', 'client_secret_basic');
+      authenticator.set('serverTokenRevocationEndpoint', '/revoke');
+      server.post('/revoke', request => {
+        requests.push(request);
+        return [200, {}, '{}'];
+      });
+
+      await authenticator._refreshAccessToken(12345, 'refresh token!');
+      await authenticator.invalidate({ access_token: 'secret token!' });
+
+      assert.deepEqual(
+        requests.map(request => request.requestHeaders['Authorization']),
+        [`Basic ${btoa('test+client:secret!')}`, `Basic ${btoa('test+client:secret!')}`]
+      );
+    });
+
+    test('sends a signed client assertion with "private_key_jwt"', async function (assert) {
+      let keyPair = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, false, [
+        'sign',
+        'verify',
+      ]);
+      authenticator.setProperties({
+        clientAuthentication: 'private_key_jwt',
+        clientAssertionKey: keyPair.privateKey,
+        clientAssertionAlgorithm: 'ES256',
+        clientAssertionKeyId: 'key-1',
+      });
+
+      await authenticator.authenticate('username', 'password');
+
+      let body = parsePostData(requests[0].requestBody);
+      let [header, payload, signature] = body.client_assertion.split('.');
+      let decode = part => JSON.parse(atob(part.replace(/-/g, '+').replace(/_/g, '/')));
+      let signatureBytes = Uint8Array.from(
+        atob(signature.replace(/-/g, '+').replace(/_/g, '/')),
+        character => character.charCodeAt(0)
+      );
+      let isValid = await crypto.subtle.verify(
+        { name: 'ECDSA', hash: 'SHA-256' },
+        keyPair.publicKey,
+        signatureBytes,
+        new TextEncoder().encode(`${header}.${payload}`)
+      );
+
+      assert.equal(body.client_id, 'test client');
+      assert.equal(
+        body.client_assertion_type,
+        'urn:ietf:params:oauth:client-assertion-type:jwt-bearer'
+      );
+      assert.deepEqual(decode(header), { alg: 'ES256', typ: 'JWT', kid: 'key-1' });
+      assert.equal(decode(payload).iss, 'test client');
+      assert.equal(decode(payload).sub, 'test client');
+      assert.equal(decode(payload).aud, `${window.location.origin}/token`);
+      assert.ok(isValid);
+    });
+  });
+
+  module('DPoP', function (hooks) {
+    let requests;
+    let decode = part => JSON.parse(atob(part.replace(/-/g, '+').replace(/_/g, '/')));
+
+    hooks.beforeEach(function () {
+      requests = [];
+      authenticator.set('dpop', true);
+      server.post('/token', request => {
+        requests.push(request);
+        return [
+          200,
+          { 'Content-Type': 'application/json' },
+          '{ "access_token": "secret token!", "token_type": "DPoP", "expires_in": 12345, "refresh_token": "refresh token!" }',
+        ];
+      });
+    });
+
+    hooks.afterEach(async function () {
+      await authenticator.invalidate({ access_token: 'secret token!' });
+    });
+
+    test('sends a DPoP proof with token requests', async function (assert) {
+      await authenticator.authenticate('username', 'password');
+
+      let [header, payload, signature] = requests[0].requestHeaders['DPoP'].split('.');
+      let jwk = decode(header).jwk;
+      let publicKey = await crypto.subtle.importKey(
+        'jwk',
+        jwk,
+        { name: 'ECDSA', namedCurve: 'P-256' },
+        false,
+        ['verify']
+      );
+      let signatureBytes = Uint8Array.from(
+        atob(signature.replace(/-/g, '+').replace(/_/g, '/')),
+        character => character.charCodeAt(0)
+      );
+      let isValid = await crypto.subtle.verify(
+        { name: 'ECDSA', hash: 'SHA-256' },
+        publicKey,
+        signatureBytes,
+        new TextEncoder().encode(`${header}.${payload}`)
+      );
+
+      assert.equal(decode(header).typ, 'dpop+jwt');
+      assert.equal(decode(header).alg, 'ES256');
+      assert.notOk(jwk.d);
+      assert.equal(decode(payload).htm, 'POST');
+      assert.equal(decode(payload).htu, `${window.location.origin}/token`);
+      assert.ok(decode(payload).jti);
+      assert.ok(isValid);
+    });
+
+    test('sends a DPoP proof with refresh requests', async function (assert) {
+      await authenticator._refreshAccessToken(12345, 'refresh token!');
+
+      assert.ok(requests[0].requestHeaders['DPoP']);
+    });
+
+    test('signs all proofs with the same key', async function (assert) {
+      await authenticator.authenticate('username', 'password');
+      await authenticator._refreshAccessToken(12345, 'refresh token!');
+
+      let [first, second] = requests.map(
+        request => decode(request.requestHeaders['DPoP'].split('.')[0]).jwk
+      );
+      assert.deepEqual(first, second);
+    });
+
+    test('retries the request with the nonce the server challenges it with', async function (assert) {
+      let attempts = 0;
+      server.post('/token', request => {
+        requests.push(request);
+        attempts++;
+        if (attempts === 1) {
+          return [
+            400,
+            { 'Content-Type': 'application/json', 'DPoP-Nonce': 'nonce!' },
+            '{ "error": "use_dpop_nonce" }',
+          ];
+        }
+        return [
+          200,
+          { 'Content-Type': 'application/json' },
+          '{ "access_token": "secret token!", "token_type": "DPoP" }',
+        ];
+      });
+
+      let data = await authenticator.authenticate('username', 'password');
+
+      assert.equal(requests.length, 2);
+      assert.notOk(decode(requests[0].requestHeaders['DPoP'].split('.')[1]).nonce);
+      assert.equal(decode(requests[1].requestHeaders['DPoP'].split('.')[1]).nonce, 'nonce!');
+      assert.equal(data.access_token, 'secret token!');
+    });
+
+    test('deletes the key pair before the session is invalidated', async function (assert) {
+      await authenticator.authenticate('username', 'password');
+      await authenticator.invalidate({ access_token: 'secret token!' });
+      await authenticator.authenticate('username', 'password');
+
+      let [first, second] = requests.map(
+        request => decode(request.requestHeaders['DPoP'].split('.')[0]).jwk
+      );
+      assert.notDeepEqual(second, first);
+    });
+
+    test('uses the key pair of a session that another tab authenticated', async function (assert) {
+      let otherTab = OAuth2PasswordGrant.create({ dpop: true });
+      setOwner(otherTab, this.owner);
+      let data = await otherTab.authenticate('username', 'password');
+      await authenticator.restore(data);
+      let headers = await authenticator.getDPoPHeaders(data, '/api/posts');
+      let initialJwk = decode(headers.DPoP.split('.')[0]).jwk;
+
+      await otherTab.invalidate(data);
+      data = await otherTab.authenticate('username', 'password');
+      await authenticator.restore(data);
+      headers = await authenticator.getDPoPHeaders(data, '/api/posts');
+
+      let jwk = decode(headers.DPoP.split('.')[0]).jwk;
+      assert.deepEqual(jwk, decode(requests[1].requestHeaders['DPoP'].split('.')[0]).jwk);
+      assert.notDeepEqual(jwk, initialJwk);
+    });
+
+    test('does not send DPoP proofs to other endpoints', async function (assert) {
+      authenticator.set('serverTokenRevocationEndpoint', '/revoke');
+      server.post('/revoke', request => {
+        requests.push(request);
+        return [200, {}, '{}'];
+      });
+
+      await authenticator.invalidate({ access_token: 'secret token!' });
+
+      assert.notOk(requests[0].requestHeaders['DPoP']);
+    });
+
+    module('#getDPoPHeaders', function () {
+      test('resolves with the DPoP authorization and proof headers', async function (assert) {
+        let headers = await authenticator.getDPoPHeaders(
+          { access_token: 'secret token!' },
+          '/api/posts?page=2',
+          'get',
+          { nonce: 'nonce!' }
+        );
+        let payload = decode(headers.DPoP.split('.')[1]);
+        let digest = await crypto.subtle.digest(
+          'SHA-256',
+          new TextEncoder().encode('secret token!')
+        );
+        let ath = btoa(String.fromCharCode(...new Uint8Array(digest)))
+          .replace(/\+/g, '-')
+          .replace(/\//g, '_')
+          .replace(/=+$/, '');
+
+        assert.equal(headers.Authorization, 'DPoP secret token!');
+        assert.equal(payload.htm, 'GET');
+        assert.equal(payload.htu, `${window.location.origin}/api/posts`);
+        assert.equal(payload.nonce, 'nonce!');
+        assert.equal(payload.ath, ath);
+      });
+    });
+  });
+
+  module('#persistedSessionData', function () {
+    let data = {
+      access_token: 'secret token!',
+      expires_in: 12345,
+      expires_at: 1234567890,
+      refresh_token: 'refresh token!',
+    };
+
+    test('returns all of the data', function (assert) {
+      assert.deepEqual(authenticator.persistedSessionData(data), data);
+    });
+
+    test('leaves out the access token and its expiration time when memory-only access tokens are enabled', function (assert) {
+      authenticator.set('memoryOnlyAccessTokens', true);
+
+      assert.deepEqual(authenticator.persistedSessionData(data), {
+        expires_in: 12345,
+        refresh_token: 'refresh token!',
+      });
+    });
+  });
+
+  module('#tokenRefreshOffset', function () {
+    test('returns a number between 5000 and 10000', function (assert) {
+      assert.true(authenticator.get('tokenRefreshOffset') >= 5000);
+      assert.true(authenticator.get('tokenRefreshOffset') < 10000);
+    });
+
+    test('can be overridden in a subclass', function (assert) {
+      let authenticator = OAuth2PasswordGrant.extend({
+        tokenRefreshOffset: computed(function () {
+          return 42;
+        }),
+      }).create();
+
+      assert.equal(authenticator.get('tokenRefreshOffset'), 42);
+    });
+  });
+
+  // testing private API here ;(
+  module('#_refreshAccessToken', function () {
+    test('sends an AJAX request to the token endpoint2', async function (assert) {
+      assert.expect(1);
+      server.post('/token', request => {
+        let { requestBody } = request;
+        let body = parsePostData(requestBody);
+
+        assert.deepEqual(body, {
+          grant_type: 'refresh_token',
           refresh_token: 'refresh token!',
         });
 
@@ -577,5 +1380,458 @@ module('OAuth2PasswordGrantAuthenticator', function (hooks) {
         });
       });
     });
+
+    module('when the refresh request fails', function () {
+      test('triggers the "sessionDataInvalidated" event when the grant is invalid', async function (assert) {
+        assert.expect(1);
+        server.post('/token', () => [
+          400,
+          { 'Content-Type': 'application/json' },
+          '{ "error": "invalid_grant", "error_description": "refresh token expired" }',
+        ]);
+        authenticator.on('sessionDataInvalidated', ({ detail: reason }) => {
+          assert.propContains(reason, {
+            error: 'invalid_grant',
+            error_description: 'refresh token expired',
+            status: 400,
+          });
+        });
+        authenticator.on('tokenRefreshFailed', () => assert.ok(false));
+
+        await authenticator._refreshAccessToken(12345, 'refresh token!').catch(() => {});
+      });
+
+      test('triggers the "sessionDataInvalidated" event when the client is unauthorized', async function (assert) {
+        assert.expect(1);
+        server.post('/token', () => [401, { 'Content-Type': 'text/plain' }, 'Unauthorized']);
+        authenticator.on('sessionDataInvalidated', ({ detail: reason }) => {
+          assert.propContains(reason, { error: 'server_error', status: 401 });
+        });
+
+        await authenticator._refreshAccessToken(12345, 'refresh token!').catch(() => {});
+      });
+
+      test('triggers the "tokenRefreshFailed" event when the failure is temporary', async function (assert) {
+        assert.expect(1);
+        server.post('/token', () => [
+          503,
+          { 'Content-Type': 'application/json' },
+          '{ "error": "temporarily_unavailable" }',
+        ]);
+        authenticator.on('sessionDataInvalidated', () => assert.ok(false));
+        authenticator.on('tokenRefreshFailed', ({ detail: reason }) => {
+          assert.propContains(reason, { error: 'temporarily_unavailable', status: 503 });
+        });
+
+        await authenticator._refreshAccessToken(12345, 'refresh token!').catch(() => {});
+      });
+
+      test('rejects with the reason', async function (assert) {
+        assert.expect(1);
+        server.post('/token', () => [
+          400,
+          { 'Content-Type': 'application/json' },
+          '{ "error": "invalid_grant" }',
+        ]);
+
+        try {
+          await authenticator._refreshAccessToken(12345, 'refresh token!');
+          assert.ok(false);
+        } catch (error) {
+          assert.propContains(error, { error: 'invalid_grant', status: 400 });
+        }
+      });
+    });
+
+    module('when another tab has refreshed the access token', function (hooks) {
+      let expiresAt;
+
+      hooks.beforeEach(async function () {
+        authenticator.set('coordinateTokenRefresh', true);
+        expiresAt = new Date().getTime() + 67890 * 1000;
+        server.post('/token', () => [
+          200,
+          { 'Content-Type': 'application/json' },
+          '{ "access_token": "secret token 3!", "expires_in": 67890, "refresh_token": "refresh token 3!" }',
+        ]);
+        let session = this.owner.lookup('session:main');
+        await session.get('store').persist({
+          authenticated: {
+            authenticator: 'authenticator:oauth2',
+            access_token: 'secret token 2!',
+            expires_in: 67890,
+            expires_at: expiresAt,
+            refresh_token: 'refresh token 2!',
+          },
+        });
+      });
+
+      test('resolves with the tokens from the session store', async function (assert) {
+        let data = await authenticator._refreshAccessToken(12345, 'refresh token!');
+
+        assert.equal(server.handledRequests.length, 0);
+        assert.deepEqual(data, {
+          access_token: 'secret token 2!',
+          expires_in: 67890,
+          expires_at: expiresAt,
+          refresh_token: 'refresh token 2!',
+        });
+      });
+
+      test('refreshes the access token itself when coordinating token refreshes is disabled', async function (assert) {
+        authenticator.set('coordinateTokenRefresh', false);
+
+        let data = await authenticator._refreshAccessToken(12345, 'refresh token!');
+
+        assert.equal(server.handledRequests.length, 1);
+        assert.equal(data.access_token, 'secret token 3!');
+      });
+
+      test('refreshes the access token with the stored refresh token when memory-only access tokens are enabled', async function (assert) {
+        authenticator.set('memoryOnlyAccessTokens', true);
+
+        let data = await authenticator._refreshAccessToken(12345, 'refresh token!');
+        let [request] = server.handledRequests;
+
+        assert.equal(parsePostData(request.requestBody).refresh_token, 'refresh token 2!');
+        assert.equal(data.access_token, 'secret token 3!');
+      });
+    });
+
+    module('when coordinating token refreshes without the Web Locks API', function (hooks) {
+      let lockName = 'ember_simple_auth-token-refresh';
+      let lockHeldDuringRequest;
+
+      hooks.beforeEach(function () {
+        // fall back to the lock in localStorage
+        Object.defineProperty(navigator, 'locks', { value: undefined, configurable: true });
+        authenticator.set('coordinateTokenRefresh', true);
+        lockHeldDuringRequest = null;
+        server.post('/token', () => {
+          lockHeldDuringRequest = localStorage.getItem(lockName) !== null;
+          return [
+            200,
+            { 'Content-Type': 'application/json' },
+            '{ "access_token": "secret token 2!", "expires_in": 67890 }',
+          ];
+        });
+      });
+
+      hooks.afterEach(function () {
+        delete navigator.locks;
+        localStorage.removeItem(lockName);
+      });
+
+      test('holds the lock while refreshing and releases it afterwards', async function (assert) {
+        let data = await authenticator._refreshAccessToken(12345, 'refresh token!');
+
+        assert.equal(data.access_token, 'secret token 2!');
+        assert.true(lockHeldDuringRequest);
+        assert.equal(localStorage.getItem(lockName), null);
+      });
+
+      test('releases the lock when the refresh fails', async function (assert) {
+        assert.expect(2);
+        server.post('/token', () => [
+          400,
+          { 'Content-Type': 'application/json' },
+          '{ "error": "invalid_grant" }',
+        ]);
+
+        try {
+          await authenticator._refreshAccessToken(12345, 'refresh token!');
+          assert.ok(false);
+        } catch (error) {
+          assert.equal(error.error, 'invalid_grant');
+        }
+        assert.equal(localStorage.getItem(lockName), null);
+      });
+
+      test('waits for another tab to release the lock', async function (assert) {
+        localStorage.setItem(
+          lockName,
+          JSON.stringify({ id: 'other tab', expiresAt: new Date().getTime() + 10000 })
+        );
+
+        let refreshed = false;
+        let promise = authenticator
+          ._refreshAccessToken(12345, 'refresh token!')
+          .then(() => (refreshed = true));
+        await new Promise(resolve => setTimeout(resolve, 200));
+
+        assert.false(refreshed);
+        assert.equal(server.handledRequests.length, 0);
+
+        localStorage.removeItem(lockName);
+        let channel = new BroadcastChannel(lockName);
+        channel.postMessage('released');
+        channel.close();
+        await promise;
+
+        assert.equal(server.handledRequests.length, 1);
+      });
+
+      test('takes over a stale lock', async function (assert) {
+        localStorage.setItem(
+          lockName,
+          JSON.stringify({ id: 'crashed tab', expiresAt: new Date().getTime() - 1 })
+        );
+
+        let data = await authenticator._refreshAccessToken(12345, 'refresh token!');
+
+        assert.equal(data.access_token, 'secret token 2!');
+        assert.equal(localStorage.getItem(lockName), null);
+      });
+
+      test('refreshes the access token when the authenticator has no owner', async function (assert) {
+        let authenticator = OAuth2PasswordGrant.create({ coordinateTokenRefresh: true });
+
+        let data = await authenticator._refreshAccessToken(12345, 'refresh token!');
+
+        assert.equal(data.access_token, 'secret token 2!');
+        assert.equal(server.handledRequests.length, 1);
+      });
+    });
+
+    module('when refresh token rotation is enabled', function (hooks) {
+      hooks.beforeEach(function () {
+        authenticator.set('refreshTokenRotation', true);
+      });
+
+      test('does not fall back to the used refresh token', async function (assert) {
+        server.post('/token', () => [
+          200,
+          { 'Content-Type': 'application/json' },
+          '{ "access_token": "secret token 2!", "expires_in": 67890 }',
+        ]);
+
+        let data = await authenticator._refreshAccessToken(12345, 'refresh token!');
+
+        assert.notOk('refresh_token' in data);
+      });
+
+      test('sends only one request per refresh token', async function (assert) {
+        server.post('/token', () => [
+          200,
+          { 'Content-Type': 'application/json' },
+          '{ "access_token": "secret token 2!", "expires_in": 67890, "refresh_token": "refresh token 2!" }',
+        ]);
+
+        let [first, second] = await Promise.all([
+          authenticator._refreshAccessToken(12345, 'refresh token!'),
+          authenticator._refreshAccessToken(12345, 'refresh token!'),
+        ]);
+        let third = await authenticator._refreshAccessToken(12345, 'refresh token!');
+
+        assert.equal(server.handledRequests.length, 1);
+        assert.strictEqual(first, second);
+        assert.strictEqual(first, third);
+      });
+
+      test('triggers the "sessionDataUpdated" event with the rotated refresh token', async function (assert) {
+        assert.expect(1);
+        server.post('/token', () => [
+          200,
+          { 'Content-Type': 'application/json' },
+          '{ "access_token": "secret token 2!", "expires_in": 67890, "refresh_token": "refresh token 2!" }',
+        ]);
+
+        await new Promise(resolve => {
+          authenticator.on('sessionDataUpdated', ({ detail: data }) => {
+            assert.equal(data.refresh_token, 'refresh token 2!');
+            resolve();
+          });
+
+          authenticator._refreshAccessToken(12345, 'refresh token!');
+        });
+      });
+
+      module('when the server rejects the refresh token', function (hooks) {
+        hooks.beforeEach(function () {
+          server.post('/token', () => [
+            400,
+            { 'Content-Type': 'application/json' },
+            '{ "error": "invalid_grant", "error_description": "refresh token reused" }',
+          ]);
+        });
+
+        test('triggers the "sessionDataInvalidated" event with the error', async function (assert) {
+          assert.expect(1);
+          authenticator.on('sessionDataInvalidated', ({ detail: reason }) => {
+            assert.propContains(reason, {
+              error: 'invalid_grant',
+              error_description: 'refresh token reused',
+              status: 400,
+            });
+          });
+
+          await authenticator._refreshAccessToken(12345, 'refresh token!').catch(() => {});
+        });
+
+        test('returns a rejecting promise', async function (assert) {
+          assert.expect(1);
+          try {
+            await authenticator._refreshAccessToken(12345, 'refresh token!');
+            assert.ok(false);
+          } catch (_error) {
+            assert.ok(true);
+          }
+        });
+      });
+    });
+  });
+
+  // testing private API here ;(
+  module('#_refreshAccessTokenWithRetries', function (hooks) {
+    let respondWith = (...responses) => {
+      server.post('/token', () => {
+        let [status, body] = responses.length > 1 ? responses.shift() : responses[0];
+        return [status, { 'Content-Type': 'application/json' }, JSON.stringify(body)];
+      });
+    };
+    let expiresAt;
+
+    hooks.beforeEach(function () {
+      authenticator.set('tokenRefreshRetryDelay', 1);
+      expiresAt = new Date().getTime() + 60000;
+    });
+
+    test('retries the refresh after a temporary failure', async function (assert) {
+      respondWith(
+        [503, { error: 'temporarily_unavailable' }],
+        [500, {}],
+        [200, { access_token: 'secret token 2!', expires_in: 67890 }]
+      );
+
+      let data = await authenticator._refreshAccessTokenWithRetries(
+        60,
+        expiresAt,
+        'refresh token!'
+      );
+
+      assert.equal(server.handledRequests.length, 3);
+      assert.equal(data.access_token, 'secret token 2!');
+    });
+
+    test('does not retry when the grant is invalid', async function (assert) {
+      assert.expect(2);
+      respondWith([400, { error: 'invalid_grant' }]);
+
+      try {
+        await authenticator._refreshAccessTokenWithRetries(60, expiresAt, 'refresh token!');
+        assert.ok(false);
+      } catch (error) {
+        assert.equal(error.error, 'invalid_grant');
+      }
+      assert.equal(server.handledRequests.length, 1);
+    });
+
+    test('gives up after the configured number of retries', async function (assert) {
+      assert.expect(2);
+      authenticator.set('tokenRefreshRetries', 2);
+      respondWith([503, {}]);
+
+      try {
+        await authenticator._refreshAccessTokenWithRetries(60, expiresAt, 'refresh token!');
+        assert.ok(false);
+      } catch (error) {
+        assert.equal(error.status, 503);
+      }
+      assert.equal(server.handledRequests.length, 3);
+    });
+
+    test('does not retry once the access token has expired', async function (assert) {
+      assert.expect(1);
+      respondWith([503, {}]);
+
+      try {
+        await authenticator._refreshAccessTokenWithRetries(
+          60,
+          new Date().getTime() - 1000,
+          'refresh token!'
+        );
+      } catch (_error) {
+        assert.equal(server.handledRequests.length, 1);
+      }
+    });
+  });
+
+  // testing private API here ;(
+  module('#_checkAccessTokenExpiry', function (hooks) {
+    hooks.beforeEach(function () {
+      server.post('/token', () => [
+        200,
+        { 'Content-Type': 'application/json' },
+        '{ "access_token": "secret token 2!", "expires_in": 67890 }',
+      ]);
+    });
+
+    test('refreshes the access token when the scheduled refresh is overdue', async function (assert) {
+      assert.expect(1);
+      authenticator._scheduleAccessTokenRefresh(1, new Date().getTime() + 1000, 'refresh token!');
+
+      await new Promise(resolve => {
+        authenticator.on('sessionDataUpdated', ({ detail: data }) => {
+          assert.equal(data.access_token, 'secret token 2!');
+          resolve();
+        });
+
+        authenticator._checkAccessTokenExpiry();
+      });
+    });
+
+    test('does not refresh the access token before the scheduled refresh is due', function (assert) {
+      authenticator._scheduleAccessTokenRefresh(
+        600,
+        new Date().getTime() + 600000,
+        'refresh token!'
+      );
+
+      authenticator._checkAccessTokenExpiry();
+
+      assert.equal(server.handledRequests.length, 0);
+    });
+
+    test('does not cause an unhandled rejection when the refresh fails terminally', async function (assert) {
+      assert.expect(2);
+      server.post('/token', () => [
+        400,
+        { 'Content-Type': 'application/json' },
+        '{ "error": "invalid_grant" }',
+      ]);
+      let unhandledRejections = [];
+      let onUnhandledRejection = event => {
+        unhandledRejections.push(event.reason);
+        event.preventDefault();
+      };
+      window.addEventListener('unhandledrejection', onUnhandledRejection);
+      authenticator._scheduleAccessTokenRefresh(1, new Date().getTime() + 1000, 'refresh token!');
+
+      try {
+        await new Promise(resolve => {
+          authenticator.on('sessionDataInvalidated', ({ detail: reason }) => {
+            assert.equal(reason.error, 'invalid_grant');
+            resolve();
+          });
+
+          authenticator._checkAccessTokenExpiry();
+        });
+        // unhandled rejections are only reported after the microtask queue drained
+        await new Promise(resolve => setTimeout(resolve, 50));
+      } finally {
+        window.removeEventListener('unhandledrejection', onUnhandledRejection);
+      }
+
+      assert.deepEqual(unhandledRejections, []);
+    });
+
+    test('does not refresh the access token after the session was invalidated', async function (assert) {
+      authenticator._scheduleAccessTokenRefresh(1, new Date().getTime() + 1000, 'refresh token!');
+      await authenticator.invalidate({ access_token: 'secret token!' });
+
+      authenticator._checkAccessTokenExpiry();
+
+      assert.equal(server.handledRequests.length, 0);
+    });
   });
 });
@@ -0,0 +1,175 @@
+import sinonjs from 'sinon';
+import OAuth2Popup from 'ember-simple-auth/authenticators/oauth2-popup';
+import { parseResponse } from 'ember-simple-auth/authenticators/oauth2-implicit-grant';
+import { module, test } from 'qunit';
+
+module('OAuth2PopupAuthenticator', function (hooks) {
+  let sinon;
+  let authenticator;
+  let iframe;
+  let popup;
+
+  let redirectUri = `${window.location.origin}/popup-callback.html`;
+  let requestedState = () => parseResponse(window.open.firstCall.args[0]).state;
+  let respond = (query, origin = window.location.origin) => {
+    window.dispatchEvent(
+      new MessageEvent('message', {
+        data: { type: 'ember-simple-auth:authorization-response', url: `${redirectUri}?${query}` },
+        origin,
+        source: popup,
+      })
+    );
+  };
+
+  hooks.beforeEach(function () {
+    sinon = sinonjs.createSandbox();
+    // an iframe's window stands in for the popup window
+    iframe = document.createElement('iframe');
+    document.body.appendChild(iframe);
+    popup = iframe.contentWindow;
+    sinon.stub(window, 'open').returns(popup);
+    authenticator = OAuth2Popup.create({
+      clientId: 'test-client',
+      redirectUri,
+      serverAuthorizationEndpoint: 'https://auth.example.com/authorize',
+    });
+  });
+
+  hooks.afterEach(function () {
+    sinon.restore();
+    iframe.remove();
+  });
+
+  module('#restore', function () {
+    test('resolves with the data', async function (assert) {
+      let data = await authenticator.restore({ code: 'authorization code!' });
+
+      assert.deepEqual(data, { code: 'authorization code!' });
+    });
+
+    test('rejects when the data is empty', async function (assert) {
+      assert.expect(1);
+      try {
+        await authenticator.restore({});
+        assert.ok(false);
+      } catch (_error) {
+        assert.ok(true);
+      }
+    });
+  });
+
+  module('#authenticate', function () {
+    test('opens the authorization request in a popup window', async function (assert) {
+      let promise = authenticator.authenticate(['profile', 'email'], { login_hint: 'user' });
+      let [url, , features] = window.open.firstCall.args;
+      let params = parseResponse(url);
+      respond(`code=authorization%20code!&state=${params.state}`);
+      await promise;
+
+      assert.true(url.startsWith('https://auth.example.com/authorize?'));
+      assert.equal(params.response_type, 'code');
+      assert.equal(params.client_id, 'test-client');
+      assert.equal(params.redirect_uri, redirectUri);
+      assert.equal(params.scope, 'profile email');
+      assert.equal(params.login_hint, 'user');
+      assert.equal(features, 'popup,width=600,height=700');
+    });
+
+    test('resolves with the parameters of the response', async function (assert) {
+      let promise = authenticator.authenticate();
+      respond(`code=authorization%20code!&state=${requestedState()}`);
+      let data = await promise;
+
+      assert.deepEqual(data, { code: 'authorization code!' });
+    });
+
+    test('does not let additional parameters override the state or redirect URI', async function (assert) {
+      let promise = authenticator.authenticate([], {
+        response_type: 'token',
+        redirect_uri: 'https://evil.example.com/callback',
+        state: 'state!',
+      });
+      let params = parseResponse(window.open.firstCall.args[0]);
+      respond(`code=authorization%20code!&state=${params.state}`);
+      let data = await promise;
+
+      assert.equal(params.response_type, 'code');
+      assert.equal(params.redirect_uri, redirectUri);
+      assert.notEqual(params.state, 'state!');
+      assert.equal(data.code, 'authorization code!');
+    });
+
+    test('ignores messages from other origins', async function (assert) {
+      let promise = authenticator.authenticate();
+      respond(`code=injected%20code!&state=${requestedState()}`, 'https://evil.example.com');
+      respond(`code=authorization%20code!&state=${requestedState()}`);
+      let data = await promise;
+
+      assert.equal(data.code, 'authorization code!');
+    });
+
+    test('rejects when the state does not match', async function (assert) {
+      assert.expect(1);
+      let promise = authenticator.authenticate();
+      respond('code=authorization%20code!&state=other');
+
+      try {
+        await promise;
+        assert.ok(false);
+      } catch (error) {
+        assert.equal(error.error, 'invalid_state');
+      }
+    });
+
+    test('rejects with the error the authorization server responds with', async function (assert) {
+      assert.expect(2);
+      let promise = authenticator.authenticate();
+      respond(`error=access_denied&error_description=Denied.&state=${requestedState()}`);
+
+      try {
+        await promise;
+        assert.ok(false);
+      } catch (error) {
+        assert.equal(error.error, 'access_denied');
+        assert.equal(error.error_description, 'Denied.');
+      }
+    });
+
+    test('rejects when the browser blocks the popup window', async function (assert) {
+      assert.expect(1);
+      window.open.returns(null);
+
+      try {
+        await authenticator.authenticate();
+        assert.ok(false);
+      } catch (error) {
+        assert.equal(error.error, 'popup_blocked');
+      }
+    });
+
+    test('rejects when the user closes the popup window', async function (assert) {
+      assert.expect(1);
+      let promise = authenticator.authenticate();
+      iframe.remove();
+
+      try {
+        await promise;
+        assert.ok(false);
+      } catch (error) {
+        assert.equal(error.error, 'popup_closed');
+      }
+    });
+  });
+
+  module('#invalidate', function () {
+    test('returns a resolving promise', async function (assert) {
+      assert.expect(1);
+      try {
+        await authenticator.invalidate();
+        assert.ok(true);
+      } catch (_error) {
+        assert.ok(false);
+      }
+    });
+  });
+});
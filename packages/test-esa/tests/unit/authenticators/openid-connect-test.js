@@ -0,0 +1,412 @@
+import { setOwner } from '@ember/application';
+import Pretender from 'pretender';
+import OpenIdConnect from 'ember-simple-auth/authenticators/openid-connect';
+import { parseResponse } from 'ember-simple-auth/authenticators/oauth2-implicit-grant';
+import { module, test } from 'qunit';
+import { setupTest } from 'ember-qunit';
+import { OAuth2Error } from 'ember-simple-auth/errors';
+
+function base64Url(input) {
+  let bytes = typeof input === 'string' ? new TextEncoder().encode(input) : new Uint8Array(input);
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+async function signJwt(privateKey, header, payload) {
+  let signingInput = `${base64Url(JSON.stringify(header))}.${base64Url(JSON.stringify(payload))}`;
+  let signature = await crypto.subtle.sign(
+    { name: 'ECDSA', hash: 'SHA-256' },
+    privateKey,
+    new TextEncoder().encode(signingInput)
+  );
+  return `${signingInput}.${base64Url(signature)}`;
+}
+
+module('OpenIdConnectAuthenticator', function (hooks) {
+  setupTest(hooks);
+
+  let authenticator;
+  let server;
+  let keyPair;
+  let publicJwk;
+  let jwks;
+  let issuer = `${window.location.origin}/oidc`;
+
+  hooks.before(async function () {
+    keyPair = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, [
+      'sign',
+      'verify',
+    ]);
+    publicJwk = Object.assign(await crypto.subtle.exportKey('jwk', keyPair.publicKey), {
+      kid: 'key-1',
+      use: 'sig',
+    });
+  });
+
+  hooks.beforeEach(function () {
+    authenticator = OpenIdConnect.create({
+      issuer,
+      clientId: 'test-client',
+      redirectUri: 'https://app.example.com/callback',
+    });
+    setOwner(authenticator, this.owner);
+    jwks = [publicJwk];
+    server = new Pretender();
+    server.get('/oidc/.well-known/openid-configuration', () => [
+      200,
+      { 'Content-Type': 'application/json' },
+      JSON.stringify({
+        issuer,
+        authorization_endpoint: '/oidc/authorize',
+        token_endpoint: '/oidc/token',
+        jwks_uri: '/oidc/jwks',
+      }),
+    ]);
+    server.get('/oidc/jwks', () => [
+      200,
+      { 'Content-Type': 'application/json' },
+      JSON.stringify({ keys: jwks }),
+    ]);
+  });
+
+  hooks.afterEach(function () {
+    sessionStorage.removeItem(authenticator.authorizationRequestStorageKey);
+    if (server) {
+      server.shutdown();
+    }
+  });
+
+  function idTokenClaims(overrides = {}) {
+    return Object.assign(
+      {
+        iss: issuer,
+        sub: 'user-1',
+        aud: 'test-client',
+        exp: Math.floor(new Date().getTime() / 1000) + 300,
+        iat: Math.floor(new Date().getTime() / 1000),
+      },
+      overrides
+    );
+  }
+
+  module('#discover', function () {
+    test('configures the endpoints from the discovery document', async function (assert) {
+      await authenticator.discover();
+
+      assert.equal(authenticator.serverAuthorizationEndpoint, '/oidc/authorize');
+      assert.equal(authenticator.serverTokenEndpoint, '/oidc/token');
+    });
+
+    test('accepts an issuer with a trailing slash', async function (assert) {
+      authenticator.set('issuer', `${issuer}/`);
+
+      let configuration = await authenticator.discover();
+
+      assert.equal(configuration.issuer, issuer);
+    });
+
+    test('rejects when the issuer of the discovery document does not match', async function (assert) {
+      assert.expect(3);
+      server.get('/oidc/.well-known/openid-configuration', () => [
+        200,
+        { 'Content-Type': 'application/json' },
+        JSON.stringify({
+          issuer: 'https://evil.example.com',
+          authorization_endpoint: 'https://evil.example.com/authorize',
+          token_endpoint: 'https://evil.example.com/token',
+          jwks_uri: 'https://evil.example.com/jwks',
+        }),
+      ]);
+
+      try {
+        await authenticator.discover();
+        assert.ok(false);
+      } catch (error) {
+        assert.equal(error.error, 'invalid_issuer');
+        assert.notEqual(authenticator.serverTokenEndpoint, 'https://evil.example.com/token');
+        assert.equal(authenticator._configuration, null);
+      }
+    });
+  });
+
+  module('#buildAuthorizationUrl', function () {
+    test('requests the openid scope and sends a nonce', async function (assert) {
+      let url = await authenticator.buildAuthorizationUrl(['profile']);
+      let params = parseResponse(url);
+
+      assert.true(url.startsWith('/oidc/authorize?'));
+      assert.equal(params.scope, 'openid profile');
+      assert.ok(params.nonce);
+      assert.equal(
+        JSON.parse(sessionStorage.getItem(authenticator.authorizationRequestStorageKey)).nonce,
+        params.nonce
+      );
+    });
+  });
+
+  module('#authenticate', function (hooks) {
+    let state;
+    let nonce;
+
+    hooks.beforeEach(async function () {
+      let params = parseResponse(await authenticator.buildAuthorizationUrl());
+      state = params.state;
+      nonce = params.nonce;
+    });
+
+    async function respondWithIdToken(
+      claims,
+      header = { alg: 'ES256', kid: 'key-1' },
+      privateKey = keyPair.privateKey
+    ) {
+      let idToken = await signJwt(privateKey, header, claims);
+      server.post('/oidc/token', () => [
+        200,
+        { 'Content-Type': 'application/json' },
+        JSON.stringify({ access_token: 'secret token!', id_token: idToken }),
+      ]);
+    }
+
+    test('resolves with the verified claims', async function (assert) {
+      await respondWithIdToken(idTokenClaims({ nonce }));
+
+      let data = await authenticator.authenticate({ code: 'authorization code!', state });
+
+      assert.equal(data.access_token, 'secret token!');
+      assert.ok(data.id_token);
+      assert.equal(data.claims.sub, 'user-1');
+      assert.equal(data.claims.nonce, nonce);
+    });
+
+    async function assertRejects(assert, message) {
+      try {
+        await authenticator.authenticate({ code: 'authorization code!', state });
+        assert.ok(false);
+      } catch (error) {
+        assert.equal(error.error_description, message);
+      }
+    }
+
+    test('rejects when the nonce does not match', async function (assert) {
+      assert.expect(1);
+      await respondWithIdToken(idTokenClaims({ nonce: 'other nonce' }));
+
+      await assertRejects(assert, 'Invalid id_token - "nonce" does not match.');
+    });
+
+    test('rejects when the issuer does not match', async function (assert) {
+      assert.expect(1);
+      await respondWithIdToken(idTokenClaims({ nonce, iss: 'https://evil.example.com' }));
+
+      await assertRejects(assert, 'Invalid id_token - "iss" does not match the issuer.');
+    });
+
+    test('rejects when the audience does not contain the client id', async function (assert) {
+      assert.expect(1);
+      await respondWithIdToken(idTokenClaims({ nonce, aud: 'other-client' }));
+
+      await assertRejects(assert, 'Invalid id_token - "aud" does not contain the client id.');
+    });
+
+    test('rejects when the token has expired', async function (assert) {
+      assert.expect(1);
+      await respondWithIdToken(
+        idTokenClaims({ nonce, exp: Math.floor(new Date().getTime() / 1000) - 3600 })
+      );
+
+      await assertRejects(assert, 'Invalid id_token - "exp" is in the past.');
+    });
+
+    test('rejects when the signature is invalid', async function (assert) {
+      assert.expect(1);
+      let otherKeyPair = await crypto.subtle.generateKey(
+        { name: 'ECDSA', namedCurve: 'P-256' },
+        true,
+        ['sign', 'verify']
+      );
+      await respondWithIdToken(
+        idTokenClaims({ nonce }),
+        { alg: 'ES256', kid: 'key-1' },
+        otherKeyPair.privateKey
+      );
+
+      await assertRejects(assert, 'Invalid id_token - signature verification failed.');
+    });
+
+    module('when the key set contains keys of other types', function (hooks) {
+      let rsaJwk;
+
+      hooks.before(async function () {
+        let rsaKeyPair = await crypto.subtle.generateKey(
+          {
+            name: 'RSASSA-PKCS1-v1_5',
+            modulusLength: 2048,
+            publicExponent: new Uint8Array([1, 0, 1]),
+            hash: 'SHA-256',
+          },
+          true,
+          ['sign', 'verify']
+        );
+        rsaJwk = Object.assign(await crypto.subtle.exportKey('jwk', rsaKeyPair.publicKey), {
+          kid: 'key-1',
+          use: 'sig',
+        });
+      });
+
+      test('verifies the signature with the key matching the algorithm', async function (assert) {
+        jwks = [rsaJwk, publicJwk];
+        await respondWithIdToken(idTokenClaims({ nonce }));
+
+        let data = await authenticator.authenticate({ code: 'authorization code!', state });
+
+        assert.equal(data.claims.sub, 'user-1');
+      });
+
+      test('rejects when no key matches the algorithm', async function (assert) {
+        assert.expect(1);
+        jwks = [rsaJwk];
+        await respondWithIdToken(idTokenClaims({ nonce }));
+
+        await assertRejects(assert, 'Invalid id_token - no matching key found.');
+      });
+
+      test('rejects when the key specifies another algorithm', async function (assert) {
+        assert.expect(1);
+        jwks = [{ ...publicJwk, alg: 'ES384' }];
+        await respondWithIdToken(idTokenClaims({ nonce }));
+
+        await assertRejects(assert, 'Invalid id_token - no matching key found.');
+      });
+    });
+
+    test('rejects with an OAuth2Error when the key cannot be imported', async function (assert) {
+      assert.expect(2);
+      jwks = [{ ...publicJwk, x: 'invalid' }];
+      await respondWithIdToken(idTokenClaims({ nonce }));
+
+      try {
+        await authenticator.authenticate({ code: 'authorization code!', state });
+        assert.ok(false);
+      } catch (error) {
+        assert.ok(error instanceof OAuth2Error);
+        assert.equal(error.error, 'invalid_id_token');
+      }
+    });
+
+    test('loads the key set again after loading it failed', async function (assert) {
+      assert.expect(2);
+      let jwksRequests = 0;
+      server.get('/oidc/jwks', () => {
+        jwksRequests++;
+        return jwksRequests === 1
+          ? [503, {}, '']
+          : [200, { 'Content-Type': 'application/json' }, JSON.stringify({ keys: jwks })];
+      });
+      await respondWithIdToken(idTokenClaims({ nonce }));
+
+      try {
+        await authenticator.authenticate({ code: 'authorization code!', state });
+      } catch (error) {
+        assert.equal(error.status, 503);
+      }
+
+      let params = parseResponse(await authenticator.buildAuthorizationUrl());
+      await respondWithIdToken(idTokenClaims({ nonce: params.nonce }));
+      let data = await authenticator.authenticate({
+        code: 'authorization code!',
+        state: params.state,
+      });
+
+      assert.equal(data.claims.sub, 'user-1');
+    });
+
+    test('rejects unsigned tokens', async function (assert) {
+      assert.expect(1);
+      await respondWithIdToken(idTokenClaims({ nonce }), { alg: 'none' });
+
+      await assertRejects(assert, 'Invalid id_token - unsupported algorithm "none".');
+    });
+
+    test('rejects when the response does not contain an id_token', async function (assert) {
+      assert.expect(1);
+      server.post('/oidc/token', () => [
+        200,
+        { 'Content-Type': 'application/json' },
+        '{ "access_token": "secret token!" }',
+      ]);
+
+      await assertRejects(assert, 'Invalid auth params - "id_token" missing.');
+    });
+  });
+
+  // testing private API here ;(
+  module('#_refreshAccessToken', function () {
+    test('keeps the claims when the response does not contain a new id_token', async function (assert) {
+      server.post('/oidc/token', () => [
+        200,
+        { 'Content-Type': 'application/json' },
+        '{ "access_token": "secret token 2!" }',
+      ]);
+      await authenticator.restore({
+        access_token: 'secret token!',
+        id_token: 'id token!',
+        claims: { sub: 'user-1' },
+      });
+
+      let data = await authenticator._refreshAccessToken(12345, 'refresh token!');
+
+      assert.equal(data.id_token, 'id token!');
+      assert.deepEqual(data.claims, { sub: 'user-1' });
+    });
+
+    module('when restoring an expired access token', function () {
+      let expiredData = claims => ({
+        access_token: 'secret token!',
+        expires_at: new Date().getTime() - 1000,
+        refresh_token: 'refresh token!',
+        id_token: 'id token!',
+        claims,
+      });
+
+      test('keeps the claims when the response does not contain a new id_token', async function (assert) {
+        server.post('/oidc/token', () => [
+          200,
+          { 'Content-Type': 'application/json' },
+          '{ "access_token": "secret token 2!" }',
+        ]);
+
+        let data = await authenticator.restore(expiredData({ iss: issuer, sub: 'user-1' }));
+
+        assert.equal(data.access_token, 'secret token 2!');
+        assert.equal(data.id_token, 'id token!');
+        assert.deepEqual(data.claims, { iss: issuer, sub: 'user-1' });
+      });
+
+      test('rejects when the subject of the new id_token changed', async function (assert) {
+        assert.expect(1);
+        let idToken = await signJwt(
+          keyPair.privateKey,
+          { alg: 'ES256', kid: 'key-1' },
+          idTokenClaims({ sub: 'user-2' })
+        );
+        server.post('/oidc/token', () => [
+          200,
+          { 'Content-Type': 'application/json' },
+          JSON.stringify({ access_token: 'secret token 2!', id_token: idToken }),
+        ]);
+
+        try {
+          await authenticator.restore(expiredData({ iss: issuer, sub: 'user-1' }));
+          assert.ok(false);
+        } catch (error) {
+          assert.equal(
+            error.error_description,
+            'Invalid id_token - "iss" or "sub" changed on refresh.'
+          );
+        }
+      });
+    });
+  });
+});
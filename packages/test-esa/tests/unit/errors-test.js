@@ -0,0 +1,110 @@
+import { module, test } from 'qunit';
+import { AuthenticationError, OAuth2Error, DeviseError } from 'ember-simple-auth/errors';
+
+module('Errors', function () {
+  module('OAuth2Error', function () {
+    test('is an AuthenticationError', function (assert) {
+      let error = new OAuth2Error('invalid_grant');
+
+      assert.ok(error instanceof AuthenticationError);
+      assert.ok(error instanceof Error);
+      assert.equal(error.name, 'OAuth2Error');
+    });
+
+    test('uses the description as the message', function (assert) {
+      assert.equal(
+        new OAuth2Error('invalid_grant', { error_description: 'refresh token expired' }).message,
+        'refresh token expired'
+      );
+      assert.equal(new OAuth2Error('invalid_grant').message, 'invalid_grant');
+    });
+
+    test('is retryable for network errors, temporary unavailability, 429 and 5xx responses', function (assert) {
+      assert.true(new OAuth2Error('network_error').retryable);
+      assert.true(new OAuth2Error('temporarily_unavailable').retryable);
+      assert.true(new OAuth2Error('server_error', { status: 429 }).retryable);
+      assert.true(new OAuth2Error('server_error', { status: 502 }).retryable);
+      assert.false(new OAuth2Error('invalid_grant', { status: 400 }).retryable);
+      assert.false(new OAuth2Error('invalid_response').retryable);
+    });
+
+    module('.fromResponse', function () {
+      test('reads the error from the JSON body', function (assert) {
+        let response = new Response('', { status: 400 });
+        let error = OAuth2Error.fromResponse(response, {
+          error: 'invalid_grant',
+          error_description: 'wrong password',
+          error_uri: 'https://example.com/errors/invalid_grant',
+        });
+
+        assert.propContains(error, {
+          error: 'invalid_grant',
+          error_description: 'wrong password',
+          error_uri: 'https://example.com/errors/invalid_grant',
+          status: 400,
+          retryable: false,
+        });
+        assert.equal(error.response, response);
+      });
+
+      test('falls back to "server_error" when the body is not JSON', function (assert) {
+        let error = OAuth2Error.fromResponse(
+          new Response('', { status: 503 }),
+          undefined,
+          'Service Unavailable'
+        );
+
+        assert.propContains(error, {
+          error: 'server_error',
+          status: 503,
+          retryable: true,
+          responseText: 'Service Unavailable',
+        });
+      });
+
+      test('falls back to "invalid_response" for successful responses', function (assert) {
+        let error = OAuth2Error.fromResponse(new Response('', { status: 200 }), undefined, 'OK');
+
+        assert.equal(error.error, 'invalid_response');
+      });
+    });
+
+    module('.fromParams', function () {
+      test('reads the error from the callback parameters', function (assert) {
+        let error = OAuth2Error.fromParams({
+          error: 'access_denied',
+          error_description: 'The user denied access.',
+          state: 'state',
+        });
+
+        assert.propContains(error, {
+          error: 'access_denied',
+          error_description: 'The user denied access.',
+          retryable: false,
+        });
+      });
+    });
+  });
+
+  module('DeviseError', function () {
+    test('derives the error from the status and uses the message as the description', function (assert) {
+      let error = DeviseError.fromResponse(new Response('', { status: 401 }), {
+        error: 'Invalid email or password.',
+      });
+
+      assert.ok(error instanceof AuthenticationError);
+      assert.propContains(error, {
+        error: 'unauthorized',
+        error_description: 'Invalid email or password.',
+        status: 401,
+      });
+    });
+
+    test('is a "server_error" for 5xx responses', function (assert) {
+      let error = DeviseError.fromResponse(new Response('', { status: 500 }));
+
+      assert.equal(error.error, 'server_error');
+      assert.true(error.retryable);
+    });
+  });
+});
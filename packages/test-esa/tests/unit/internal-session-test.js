@@ -2,6 +2,8 @@ import { module, test } from 'qunit';
 import { setupTest } from 'ember-qunit';
 import { next } from '@ember/runloop';
 import sinonjs from 'sinon';
+import EmberObject from '@ember/object';
+import Evented from '@ember/object/evented';
 import Authenticator from 'ember-simple-auth/authenticators/base';
 
 module('InternalSession', function (hooks) {
@@ -117,6 +119,22 @@ module('InternalSession', function (hooks) {
           });
         });
       });
+
+      test('triggers the "invalidationSucceeded" event with the reason', async function (assert) {
+        assert.expect(1);
+        let reason;
+        session.on('invalidationSucceeded', ({ detail }) => {
+          reason = detail;
+        });
+        authenticator.trigger('sessionDataInvalidated', { error: 'invalid_grant' });
+
+        await new Promise(resolve => {
+          next(() => {
+            assert.deepEqual(reason, { error: 'invalid_grant' });
+            resolve();
+          });
+        });
+      });
     });
   }
 
@@ -339,6 +357,60 @@ module('InternalSession', function (hooks) {
       itHandlesAuthenticatorEvents(async function () {
         await session.authenticate('authenticator:test');
       });
+
+      module('when the authenticator filters the persisted session data', function (hooks) {
+        hooks.beforeEach(function () {
+          sinon
+            .stub(authenticator, 'persistedSessionData')
+            .callsFake(() => ({ other: 'property' }));
+        });
+
+        test('keeps all of the data in its authenticated section', async function (assert) {
+          await session.authenticate('authenticator:test');
+
+          assert.deepEqual(session.get('authenticated'), {
+            some: 'property',
+            authenticator: 'authenticator:test',
+          });
+        });
+
+        test('persists the filtered data in the store', async function (assert) {
+          await session.authenticate('authenticator:test');
+          let properties = await store.restore();
+
+          assert.deepEqual(properties, {
+            authenticated: { other: 'property', authenticator: 'authenticator:test' },
+          });
+        });
+
+        test('passes the data without the authenticator factory to the authenticator', async function (assert) {
+          await session.authenticate('authenticator:test');
+
+          assert.ok(authenticator.persistedSessionData.calledWith({ some: 'property' }));
+        });
+      });
+    });
+
+    module('when the authenticator does not extend the base authenticator', function (hooks) {
+      hooks.beforeEach(function () {
+        this.owner.register(
+          'authenticator:custom',
+          EmberObject.extend(Evented, {
+            authenticate() {
+              return Promise.resolve({ some: 'property' });
+            },
+          })
+        );
+      });
+
+      test('persists all of the data in the store', async function (assert) {
+        await session.authenticate('authenticator:custom');
+        let properties = await store.restore();
+
+        assert.deepEqual(properties, {
+          authenticated: { some: 'property', authenticator: 'authenticator:custom' },
+        });
+      });
     });
 
     module('when the authenticator rejects authentication', function () {
@@ -3,6 +3,7 @@ import { setupTest } from 'ember-qunit';
 import Service from '@ember/service';
 import EmberObject, { set } from '@ember/object';
 import sinonjs from 'sinon';
+import { OAuth2Error } from 'ember-simple-auth/errors';
 
 module('SessionService', function (hooks) {
   setupTest(hooks);
@@ -120,6 +121,219 @@ module('SessionService', function (hooks) {
     });
   });
 
+  module('handleCallback', function (hooks) {
+    let url;
+
+    hooks.beforeEach(function () {
+      url = window.location.href;
+      session.reopen({
+        authenticate() {
+          return Promise.resolve();
+        },
+      });
+      sinon.spy(session, 'authenticate');
+    });
+
+    hooks.afterEach(function () {
+      window.history.replaceState(window.history.state, '', url);
+    });
+
+    test('authenticates the session with the parameters from the fragment', async function (assert) {
+      window.history.replaceState(null, '', '#access_token=secret%20token!&state=abc');
+      await sessionService.handleCallback('authenticator:test', 'argument');
+
+      assert.ok(
+        session.authenticate.calledWith(
+          'authenticator:test',
+          sinon.match({ access_token: 'secret token!', state: 'abc' }),
+          'argument'
+        )
+      );
+    });
+
+    test('authenticates the session with the parameters from the query', async function (assert) {
+      window.history.replaceState(null, '', '?code=authorization%20code!&state=abc');
+      await sessionService.handleCallback('authenticator:test');
+
+      assert.ok(
+        session.authenticate.calledWith(
+          'authenticator:test',
+          sinon.match({ code: 'authorization code!', state: 'abc' })
+        )
+      );
+    });
+
+    test('authenticates the session with the parameters from a query in the fragment', async function (assert) {
+      window.history.replaceState(null, '', '#/callback?code=authorization%20code!');
+      await sessionService.handleCallback('authenticator:test');
+
+      assert.ok(
+        session.authenticate.calledWith(
+          'authenticator:test',
+          sinon.match({ code: 'authorization code!' })
+        )
+      );
+    });
+
+    test('removes the response parameters from the URL', async function (assert) {
+      window.history.replaceState(
+        null,
+        '',
+        '?code=authorization%20code!&state=abc&other=param#/callback?access_token=secret&tab=1'
+      );
+      await sessionService.handleCallback('authenticator:test');
+
+      assert.equal(window.location.search, '?other=param');
+      assert.equal(window.location.hash, '#/callback?tab=1');
+    });
+
+    test('removes the fragment when it only consists of response parameters', async function (assert) {
+      window.history.replaceState(null, '', '#access_token=secret&token_type=bearer');
+      await sessionService.handleCallback('authenticator:test');
+
+      assert.equal(window.location.hash, '');
+    });
+
+    test('rejects with the error the authorization server responded with', async function (assert) {
+      assert.expect(4);
+      window.history.replaceState(null, '', '?error=access_denied&error_description=Denied.');
+
+      try {
+        await sessionService.handleCallback('authenticator:test');
+        assert.ok(false);
+      } catch (error) {
+        assert.equal(error.error, 'access_denied');
+        assert.equal(error.error_description, 'Denied.');
+        assert.notOk(session.authenticate.called);
+        assert.equal(window.location.search, '');
+      }
+    });
+
+    module('when running in FastBoot', function (hooks) {
+      hooks.beforeEach(function () {
+        this.owner.register(
+          'service:fastboot',
+          Service.extend({
+            isFastBoot: true,
+          })
+        );
+      });
+
+      test('does not authenticate the session', async function (assert) {
+        window.history.replaceState(null, '', '?code=authorization%20code!');
+        await sessionService.handleCallback('authenticator:test');
+
+        assert.notOk(session.authenticate.called);
+      });
+    });
+  });
+
+  module('persistAttemptedTransition', function (hooks) {
+    let writeStub;
+
+    hooks.beforeEach(function () {
+      writeStub = sinon.stub();
+      this.owner.register(
+        'service:cookies',
+        Service.extend({
+          write: writeStub,
+        })
+      );
+    });
+
+    test("writes the attempted transition's URL to the redirect target cookie", function (assert) {
+      session.set('attemptedTransition', { intent: { url: '/protected?page=2' } });
+      sessionService.persistAttemptedTransition();
+
+      assert.ok(
+        writeStub.calledWith(
+          'ember_simple_auth-redirectTarget',
+          '/protected?page=2',
+          sinon.match({ path: '/' })
+        )
+      );
+      assert.equal(session.get('attemptedTransition'), null);
+    });
+
+    test('does nothing when there is no attempted transition', function (assert) {
+      sessionService.persistAttemptedTransition();
+
+      assert.notOk(writeStub.called);
+    });
+  });
+
+  module('getValidAccessToken', function () {
+    test('rejects when the session is not authenticated', async function (assert) {
+      assert.expect(2);
+      try {
+        await sessionService.getValidAccessToken();
+        assert.ok(false);
+      } catch (error) {
+        assert.true(error instanceof OAuth2Error);
+        assert.equal(error.error, 'not_authenticated');
+      }
+    });
+
+    test("resolves with the authenticator's valid access token", async function (assert) {
+      this.owner.register(
+        'authenticator:custom',
+        EmberObject.extend({
+          getValidAccessToken(data, minValidity) {
+            return Promise.resolve(`${data.access_token} (${minValidity})`);
+          },
+        })
+      );
+      session.setProperties({
+        isAuthenticated: true,
+        authenticator: 'authenticator:custom',
+        content: { authenticated: { access_token: 'secret token!' } },
+      });
+
+      let accessToken = await sessionService.getValidAccessToken(30);
+
+      assert.equal(accessToken, 'secret token! (30)');
+    });
+  });
+
+  module('getDPoPHeaders', function () {
+    test('rejects when the session is not authenticated', async function (assert) {
+      assert.expect(2);
+      try {
+        await sessionService.getDPoPHeaders('/api/posts');
+        assert.ok(false);
+      } catch (error) {
+        assert.true(error instanceof OAuth2Error);
+        assert.equal(error.error, 'not_authenticated');
+      }
+    });
+
+    test("resolves with the authenticator's headers", async function (assert) {
+      this.owner.register(
+        'authenticator:custom',
+        EmberObject.extend({
+          getDPoPHeaders(data, url, method, options) {
+            return Promise.resolve({
+              Authorization: `DPoP ${data.access_token}`,
+              DPoP: `${method} ${url} (${options.minValidity})`,
+            });
+          },
+        })
+      );
+      session.setProperties({
+        isAuthenticated: true,
+        authenticator: 'authenticator:custom',
+        content: { authenticated: { access_token: 'secret token!' } },
+      });
+
+      let headers = await sessionService.getDPoPHeaders('/api/posts', 'POST', { minValidity: 30 });
+
+      assert.deepEqual(headers, {
+        Authorization: 'DPoP secret token!',
+        DPoP: 'POST /api/posts (30)',
+      });
+    });
+  });
+
   module('requireAuthentication', function (hooks) {
     let transition;
     let router;